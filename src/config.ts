@@ -2,6 +2,7 @@ import _sdkVersion from './__sdk';
 import FileStreamBase from './models/files/file-stream-base';
 import CacheEngineBase from './db/cache-engine-base';
 import { TinyDBStorageEngineConstructor } from './defs/tiny-db';
+import { UnfurlProxyFetch } from './helpers/unfurl/types';
 
 const SERVER_PLAN_PREMIUM_MONTHLY = 'icebear_premium_monthly';
 const SERVER_PLAN_PREMIUM_YEARLY = 'icebear_premium_yearly';
@@ -272,6 +273,51 @@ export class Config {
          * Do not override this in clients, it's supposed to be a system limit.
          */
         maxChatPurposeLength: 120,
+        /**
+         * Maximum number of characters of parent message text to quote in a reply.
+         */
+        maxReplyQuoteLength: 200,
+        /**
+         * Frequency (seconds) at which self-destructing messages are checked for expiration.
+         */
+        expirationCheckInterval: 5,
+        /**
+         * Delay (ms) after the last draft change before the draft is synced to server.
+         */
+        draftSaveDelay: 3000,
+        /**
+         * Time (ms) to wait for a chat to load when restoring messages queued while offline.
+         */
+        outboxChatLoadTimeout: 60000,
+        /**
+         * Time (ms) to wait for DM chat head to load before sending a message,
+         * so the message gets DM settings like expiration time.
+         */
+        dmChatHeadLoadTimeout: 5000,
+        /**
+         * Time (ms) after which scheduled message claimed by a client that didn't send it
+         * can be claimed by another client.
+         */
+        scheduledMessageClaimTimeout: 5 * 60 * 1000,
+        /**
+         * Time (ms) to wait for a shared file info to load when exporting chat transcript.
+         * Files that don't load in time are listed as unavailable.
+         */
+        transcriptFileLoadTimeout: 30000,
+        /**
+         * Frequency (seconds) at which scheduled messages are checked for being due.
+         */
+        scheduledMessageCheckInterval: 10,
+        /**
+         * Chats with more participants than this provide only the number of users who have seen a message,
+         * not the full list.
+         */
+        seenByListLimit: 50,
+        /**
+         * How many times to try removing a participant and rotating channel key when boot keg
+         * is concurrently updated by other admins.
+         */
+        keyRotationAttempts: 3,
         /**
          * Maximum number of bytes inline image can have (both peerio file and external)
          * to allow auto-downloading and showing it inline with "show big files" enabled
@@ -333,7 +379,33 @@ export class Config {
         maxDescriptionLength: 280,
 
         /** Maximum image alt length */
-        maxImageAltLength: 512
+        maxImageAltLength: 512,
+
+        /**
+         * Query parameters removed from links before fetching, when link preview policy allows it.
+         * Names ending with '*' match all parameters starting with the name.
+         */
+        trackingParams: [
+            'utm_*',
+            'fbclid',
+            'gclid',
+            'dclid',
+            'msclkid',
+            'yclid',
+            'mc_cid',
+            'mc_eid',
+            'igshid',
+            '_hsenc',
+            '_hsmi',
+            'mkt_tok',
+            'ref_src'
+        ],
+
+        /**
+         * Optional function fetching link preview content through a proxy,
+         * so websites don't see user's IP address. Direct requests are made if not set.
+         */
+        proxyFetch: null as UnfurlProxyFetch | null
     };
 
     /**
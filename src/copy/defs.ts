@@ -1045,4 +1045,24 @@ export interface LocalizationStrings {
   'title_seenBy': () => string;
   'title_seenByAll': () => string;
   'title_removed': () => string;
+  'title_messageTTLChanged': (params: { 'duration': string | number }) => string;
+  'title_messageTTLDisabled': () => string;
+  'error_messageTTLChange': () => string;
+  'title_messagePinned': (params: { 'text': string | number }) => string;
+  'title_messageUnpinned': (params: { 'text': string | number }) => string;
+  'error_pinMessage': () => string;
+  'error_unpinMessage': () => string;
+  'error_scheduleMessage': () => string;
+  'error_cancelScheduledMessage': () => string;
+  'title_pollCreated': (params: { 'fullName': string | number, 'question': string | number }) => string;
+  'error_notificationSettingsSave': () => string;
+  'title_channelArchived': (params: { 'fullName': string | number }) => string;
+  'title_channelUnarchived': (params: { 'fullName': string | number }) => string;
+  'error_channelArchive': () => string;
+  'title_moderator': () => string;
+  'title_readonlyMember': () => string;
+  'error_assignRole': () => string;
+  'error_deleteMessage': () => string;
+  'error_spaceOperationFailed': (params: { 'failed': string | number, 'total': string | number }) => string;
+  'error_linkPreviewPolicySave': () => string;
 }
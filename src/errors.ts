@@ -86,6 +86,10 @@ export const NoPasscodeFoundError = getGenericCustomError(
 );
 export const InvalidArgumentError = getGenericCustomError('InvalidArgumentError');
 export const UserCancelError = getGenericCustomError('UserCancelError');
+export const FingerprintMismatchError = getGenericCustomError(
+    'FingerprintMismatchError',
+    'Contact fingerprint does not match.'
+);
 // -- Server Errors ----------------------------------------------------------------------------------------------
 /**
  * Check sources for the list of codes.
@@ -0,0 +1,44 @@
+/**
+ * Compact payload for verifying contacts in person by scanning a QR code.
+ * Format: 'peerio-verify:1:<username>:<signing key hash hex>'
+ */
+
+import { getHexHash } from '../crypto/util';
+
+const PREFIX = 'peerio-verify';
+const VERSION = '1';
+const KEY_HASH_LENGTH = 16; // bytes, 32 hex chars
+
+export interface ContactVerificationData {
+    username: string;
+    /** hex encoded hash of signing public key */
+    keyHash: string;
+}
+
+/**
+ * Short hash of signing public key, used instead of the key itself to keep the payload small.
+ */
+export function getSigningKeyHash(signingPublicKey: Uint8Array): string {
+    return getHexHash(KEY_HASH_LENGTH, signingPublicKey, 'keyverif');
+}
+
+/**
+ * Creates a payload to show as QR code for the user with this signing key.
+ */
+export function createVerificationPayload(username: string, signingPublicKey: Uint8Array): string {
+    return [PREFIX, VERSION, username, getSigningKeyHash(signingPublicKey)].join(':');
+}
+
+/**
+ * @returns null if payload is not a valid verification payload
+ */
+export function parseVerificationPayload(payload: string): ContactVerificationData | null {
+    if (!payload || typeof payload !== 'string') return null;
+    const parts = payload.trim().split(':');
+    if (parts.length !== 4 || parts[0] !== PREFIX || parts[1] !== VERSION) return null;
+    const username = parts[2].toLowerCase();
+    const keyHash = parts[3].toLowerCase();
+    if (!/^\w{1,32}$/.test(username)) return null;
+    if (!new RegExp(`^[0-9a-f]{${KEY_HASH_LENGTH * 2}}$`).test(keyHash)) return null;
+    return { username, keyHash };
+}
@@ -0,0 +1,66 @@
+/**
+ * Pure rules used by notification engine to decide if user should be notified.
+ */
+
+export interface QuietHours {
+    enabled: boolean;
+    /** minutes after local midnight */
+    start: number;
+    /** minutes after local midnight, can be less than start if quiet hours span midnight */
+    end: number;
+}
+
+export interface ChatNotificationSettings {
+    /** muted until unmuted manually */
+    muted?: boolean;
+    /** timestamp, chat is muted until this time */
+    mutedUntil?: number;
+    /** notify only about mentions and keywords */
+    mentionsOnly?: boolean;
+}
+
+/**
+ * True if local time of the date falls into quiet hours.
+ */
+export function isInQuietHours(quietHours: QuietHours, date: Date) {
+    if (!quietHours || !quietHours.enabled || quietHours.start === quietHours.end) return false;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const { start, end } = quietHours;
+    if (start < end) return minutes >= start && minutes < end;
+    // spans midnight
+    return minutes >= start || minutes < end;
+}
+
+/**
+ * True if chat is muted at the given time.
+ */
+export function isChatMuted(settings: ChatNotificationSettings, now: number) {
+    if (!settings) return false;
+    return !!settings.muted || (!!settings.mutedUntil && settings.mutedUntil > now);
+}
+
+// letters of cased scripts, digits and underscore
+function isWordChar(c: string) {
+    return !!c && (c.toLowerCase() !== c.toUpperCase() || /[0-9_]/.test(c));
+}
+
+/**
+ * Finds first keyword that text contains as a whole word, case insensitive.
+ * @returns matched keyword or null
+ */
+export function findKeyword(text: string, keywords: string[]): string | null {
+    if (!text || !keywords || !keywords.length) return null;
+    const lowerText = text.toLocaleLowerCase();
+    for (const keyword of keywords) {
+        const k = keyword && keyword.trim().toLocaleLowerCase();
+        if (!k) continue;
+        let pos = lowerText.indexOf(k);
+        while (pos >= 0) {
+            if (!isWordChar(lowerText[pos - 1]) && !isWordChar(lowerText[pos + k.length])) {
+                return keyword;
+            }
+            pos = lowerText.indexOf(k, pos + 1);
+        }
+    }
+    return null;
+}
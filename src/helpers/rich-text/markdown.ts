@@ -0,0 +1,399 @@
+/**
+ * Markdown to rich text conversion.
+ * Supports the subset of Markdown that makes sense in chat: paragraphs, headings, quotes, code blocks,
+ * lists, horizontal rules, bold, italic, strikethrough, inline code, links, autolinks and @mentions.
+ * Unlike in CommonMark, single line break inside a paragraph is a hard break, the way chat users expect.
+ */
+import { RichTextNode, RichTextMark, RichTextMarkType, MARK_ORDER } from './types';
+
+const ESCAPABLE = '\\`*_~[]()#+-.!>@';
+
+const fenceRegex = /^ {0,3}(`{3,}|~{3,})[^`]*$/;
+const headingRegex = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const hrRegex = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const quoteRegex = /^ {0,3}> ?/;
+const listItemRegex = /^( *)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const usernameRegex = /^@(\w{1,16})(?!\w)/;
+const autolinkRegex = /^https?:\/\/[^\s<>]+/i;
+const linkRegex = /^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s<>()]+)>?\s*\)/;
+
+interface ListMarker {
+    indent: number;
+    ordered: boolean;
+    order: number;
+    /** column at which item content starts */
+    contentIndent: number;
+    content: string;
+}
+
+/**
+ * Converts Markdown to ProseMirror document JSON.
+ */
+export function markdownToRichText(md: string): RichTextNode {
+    const lines = (md || '').replace(/\r\n?/g, '\n').split('\n');
+    const content = parseBlocks(lines);
+    return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+}
+
+function leadingSpaces(line: string) {
+    return line.length - line.trimLeft().length;
+}
+
+function isBlank(line: string) {
+    return !line.trim();
+}
+
+function parseListMarker(line: string): ListMarker {
+    const m = listItemRegex.exec(line);
+    if (!m) return null;
+    const ordered = /\d/.test(m[2]);
+    const content = m[3] || '';
+    return {
+        indent: m[1].length,
+        ordered,
+        order: ordered ? parseInt(m[2], 10) : 1,
+        contentIndent: content ? line.length - content.length : m[0].length + 1,
+        content
+    };
+}
+
+function isBlockStart(line: string) {
+    return (
+        fenceRegex.test(line) ||
+        headingRegex.test(line) ||
+        hrRegex.test(line) ||
+        quoteRegex.test(line) ||
+        !!parseListMarker(line)
+    );
+}
+
+function parseBlocks(lines: string[]): RichTextNode[] {
+    const blocks: RichTextNode[] = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+        let m = fenceRegex.exec(line);
+        if (m) {
+            const fence = m[1];
+            const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) code.push(lines[i++]);
+            i++; // closing fence
+            const text = code.join('\n');
+            blocks.push(
+                text
+                    ? { type: 'code_block', content: [textNode(text, [])] }
+                    : { type: 'code_block' }
+            );
+            continue;
+        }
+        m = headingRegex.exec(line);
+        if (m) {
+            blocks.push(withInline({ type: 'heading', attrs: { level: m[1].length } }, m[2] || ''));
+            i++;
+            continue;
+        }
+        if (hrRegex.test(line)) {
+            blocks.push({ type: 'horizontal_rule' });
+            i++;
+            continue;
+        }
+        if (quoteRegex.test(line)) {
+            const quoted = [];
+            while (i < lines.length && quoteRegex.test(lines[i])) {
+                quoted.push(lines[i++].replace(quoteRegex, ''));
+            }
+            const content = parseBlocks(quoted);
+            blocks.push({
+                type: 'blockquote',
+                content: content.length ? content : [{ type: 'paragraph' }]
+            });
+            continue;
+        }
+        const marker = parseListMarker(line);
+        if (marker) {
+            i = parseList(lines, i, marker, blocks);
+            continue;
+        }
+        const paragraph = [];
+        while (i < lines.length && !isBlank(lines[i]) && !isBlockStart(lines[i])) {
+            paragraph.push(lines[i++].trim());
+        }
+        blocks.push(withInline({ type: 'paragraph' }, paragraph.join('\n')));
+    }
+    return blocks;
+}
+
+// parses list starting at line i, returns index of the first line after the list
+function parseList(lines: string[], start: number, first: ListMarker, blocks: RichTextNode[]) {
+    const list: RichTextNode = first.ordered
+        ? { type: 'ordered_list', attrs: { order: first.order }, content: [] }
+        : { type: 'bullet_list', content: [] };
+    const isSameListItem = (line: string) => {
+        const marker = parseListMarker(line);
+        return !!marker && marker.ordered === first.ordered && marker.indent <= first.indent + 1;
+    };
+    let i = start;
+    while (i < lines.length) {
+        if (isBlank(lines[i])) {
+            // list continues after blank lines only with the next item
+            let j = i + 1;
+            while (j < lines.length && isBlank(lines[j])) j++;
+            if (j < lines.length && isSameListItem(lines[j])) {
+                i = j;
+                continue;
+            }
+            break;
+        }
+        if (!isSameListItem(lines[i])) break;
+        const marker = parseListMarker(lines[i]);
+        const itemLines = [marker.content];
+        i++;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                let j = i + 1;
+                while (j < lines.length && isBlank(lines[j])) j++;
+                if (j < lines.length && leadingSpaces(lines[j]) >= marker.contentIndent) {
+                    while (i < j) {
+                        itemLines.push('');
+                        i++;
+                    }
+                    continue;
+                }
+                break;
+            }
+            const indent = leadingSpaces(line);
+            if (indent > marker.indent) {
+                // nested content, indented less than item content is still accepted
+                itemLines.push(line.slice(Math.min(indent, marker.contentIndent)));
+            } else if (!isBlockStart(line)) {
+                // lazy paragraph continuation
+                itemLines.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+        const content = parseBlocks(itemLines);
+        list.content.push({
+            type: 'list_item',
+            content: content.length ? content : [{ type: 'paragraph' }]
+        });
+    }
+    blocks.push(list);
+    return i;
+}
+
+function withInline(node: RichTextNode, text: string): RichTextNode {
+    const content = parseInline(text);
+    if (content.length) node.content = content; // eslint-disable-line no-param-reassign
+    return node;
+}
+
+function textNode(text: string, marks: RichTextMark[]): RichTextNode {
+    const ret: RichTextNode = { type: 'text', text };
+    if (marks.length) ret.marks = marks;
+    return ret;
+}
+
+function addMark(marks: RichTextMark[], mark: RichTextMark) {
+    return marks
+        .concat(mark)
+        .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
+function hasMark(marks: RichTextMark[], type: RichTextMarkType) {
+    return marks.some(m => m.type === type);
+}
+
+function isWordChar(c: string) {
+    return !!c && /\w/.test(c);
+}
+
+function isSpace(c: string) {
+    return !c || /\s/.test(c);
+}
+
+function isSafeUrl(url: string) {
+    return /^(https?:\/\/|mailto:)/i.test(url);
+}
+
+const delimiters: { [delim: string]: RichTextMarkType } = {
+    '**': 'strong',
+    __: 'strong',
+    '~~': 'strike',
+    '*': 'em',
+    _: 'em'
+};
+
+// returns emphasis delimiter that can open at position i
+function getOpeningDelimiter(src: string, i: number) {
+    const delim = ['**', '__', '~~', '*', '_'].find(d => src.startsWith(d, i));
+    if (!delim) return null;
+    // underscores inside words are not emphasis
+    if (delim[0] === '_' && isWordChar(src[i - 1])) return null;
+    if (isSpace(src[i + delim.length])) return null;
+    return delim;
+}
+
+// skips code span starting at i, returns index of the last character of the span or -1
+function skipCodeSpan(src: string, i: number) {
+    const run = /^`+/.exec(src.slice(i))[0];
+    const end = src.indexOf(run, i + run.length);
+    return end < 0 ? -1 : end + run.length - 1;
+}
+
+function findClosingDelimiter(src: string, from: number, delim: string) {
+    for (let j = from; j < src.length; j++) {
+        const c = src[j];
+        if (c === '\\') {
+            j++;
+            continue;
+        }
+        if (c === '`') {
+            const end = skipCodeSpan(src, j);
+            if (end > 0) j = end;
+            continue;
+        }
+        if (!src.startsWith(delim, j)) continue;
+        if (delim.length === 1 && src[j + 1] === delim) {
+            // this is a double delimiter, can't close single one
+            j++;
+            continue;
+        }
+        // '***' closes both, outer delimiter is the last one
+        while (src[j + delim.length] === delim[0]) j++;
+        if (j === from || isSpace(src[j - 1])) continue;
+        if (delim[0] === '_' && isWordChar(src[j + delim.length])) continue;
+        return j;
+    }
+    return -1;
+}
+
+function parseInline(src: string): RichTextNode[] {
+    const out: RichTextNode[] = [];
+    parseInlineInto(src, [], out);
+    return mergeTextNodes(out);
+}
+
+function parseInlineInto(src: string, marks: RichTextMark[], out: RichTextNode[]) {
+    let text = '';
+    const flush = () => {
+        if (text) out.push(textNode(text, marks));
+        text = '';
+    };
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (c === '\\' && i + 1 < src.length && ESCAPABLE.includes(src[i + 1])) {
+            text += src[i + 1];
+            i += 2;
+            continue;
+        }
+        if (c === '\n') {
+            flush();
+            out.push({ type: 'hard_break' });
+            i++;
+            continue;
+        }
+        if (c === '`') {
+            const end = skipCodeSpan(src, i);
+            const runLength = /^`+/.exec(src.slice(i))[0].length;
+            if (end > 0 && !hasMark(marks, 'code')) {
+                let code = src.slice(i + runLength, end - runLength + 1);
+                // one space on both sides allows code to start or end with a backtick
+                if (code.length > 2 && code[0] === ' ' && code[code.length - 1] === ' ') {
+                    code = code.slice(1, -1);
+                }
+                flush();
+                if (code) out.push(textNode(code, addMark(marks, { type: 'code' })));
+                i = end + 1;
+                continue;
+            }
+            text += src.slice(i, i + runLength);
+            i += runLength;
+            continue;
+        }
+        if (c === '[' && !hasMark(marks, 'link')) {
+            const m = linkRegex.exec(src.slice(i));
+            if (m && isSafeUrl(m[2])) {
+                flush();
+                parseInlineInto(m[1], addMark(marks, { type: 'link', attrs: { href: m[2] } }), out);
+                i += m[0].length;
+                continue;
+            }
+        }
+        const delim = getOpeningDelimiter(src, i);
+        if (delim && !hasMark(marks, delimiters[delim])) {
+            const end = findClosingDelimiter(src, i + delim.length, delim);
+            if (end > 0) {
+                flush();
+                const inner = src.slice(i + delim.length, end);
+                parseInlineInto(inner, addMark(marks, { type: delimiters[delim] }), out);
+                i = end + delim.length;
+                continue;
+            }
+        }
+        if ((c === 'h' || c === 'H') && !hasMark(marks, 'link') && !isWordChar(src[i - 1])) {
+            const m = autolinkRegex.exec(src.slice(i));
+            if (m) {
+                const url = trimUrl(m[0]);
+                flush();
+                out.push(textNode(url, addMark(marks, { type: 'link', attrs: { href: url } })));
+                i += url.length;
+                continue;
+            }
+        }
+        if (c === '@' && !isWordChar(src[i - 1]) && !hasMark(marks, 'link')) {
+            const m = usernameRegex.exec(src.slice(i));
+            if (m) {
+                flush();
+                out.push({ type: 'mention', attrs: { username: m[1].toLowerCase() } });
+                i += m[0].length;
+                continue;
+            }
+        }
+        text += c;
+        i++;
+    }
+    flush();
+}
+
+// removes trailing punctuation that most likely is not a part of autolinked url
+function trimUrl(url: string) {
+    let ret = url;
+    for (;;) {
+        const last = ret[ret.length - 1];
+        if ('.,;:!?\'"*_~'.includes(last)) {
+            ret = ret.slice(0, -1);
+        } else if (last === ')' && ret.split('(').length < ret.split(')').length) {
+            ret = ret.slice(0, -1);
+        } else {
+            return ret;
+        }
+    }
+}
+
+function mergeTextNodes(nodes: RichTextNode[]) {
+    const ret: RichTextNode[] = [];
+    nodes.forEach(node => {
+        const prev = ret[ret.length - 1];
+        if (
+            prev &&
+            prev.type === 'text' &&
+            node.type === 'text' &&
+            JSON.stringify(prev.marks) === JSON.stringify(node.marks)
+        ) {
+            ret[ret.length - 1] = Object.assign({}, prev, { text: prev.text + node.text });
+        } else {
+            ret.push(node);
+        }
+    });
+    return ret;
+}
@@ -0,0 +1,245 @@
+/**
+ * Rich text conversion to Markdown, plain text and HTML.
+ */
+import { RichTextNode, RichTextMark, MARK_ORDER } from './types';
+
+interface InlineFormat {
+    open(mark: RichTextMark): string;
+    close(mark: RichTextMark): string;
+    text(text: string, marks: RichTextMark[]): string;
+    mention(username: string): string;
+    hardBreak: string;
+}
+
+const markdownInline: InlineFormat = {
+    open: mark => {
+        switch (mark.type) {
+            case 'link':
+                return '[';
+            case 'strong':
+                return '**';
+            case 'em':
+                return '_';
+            case 'strike':
+                return '~~';
+            case 'code':
+                return '`';
+            default:
+                return '';
+        }
+    },
+    close: mark => {
+        if (mark.type === 'link') return `](${mark.attrs.href})`;
+        return markdownInline.open(mark);
+    },
+    text: (text, marks) => {
+        if (marks.some(m => m.type === 'code')) return text;
+        return text.replace(/([\\`*_~[\]@])/g, '\\$1');
+    },
+    mention: username => `@${username}`,
+    hardBreak: '\n'
+};
+
+const plainInline: InlineFormat = {
+    open: () => '',
+    close: mark => (mark.type === 'link' ? ` (${mark.attrs.href})` : ''),
+    text: text => text,
+    mention: username => `@${username}`,
+    hardBreak: '\n'
+};
+
+const htmlTags = { strong: 'strong', em: 'em', strike: 'del', code: 'code' };
+
+const htmlInline: InlineFormat = {
+    open: mark => {
+        if (mark.type === 'link') return `<a href="${escapeHTML(mark.attrs.href)}">`;
+        return `<${htmlTags[mark.type]}>`;
+    },
+    close: mark => (mark.type === 'link' ? '</a>' : `</${htmlTags[mark.type]}>`),
+    text: text => escapeHTML(text),
+    mention: username => `@${escapeHTML(username)}`,
+    hardBreak: '<br>'
+};
+
+/**
+ * Escapes text to put it into HTML element content or double quoted attribute value.
+ */
+export function escapeHTML(str: string) {
+    return (str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function sameMark(a: RichTextMark, b: RichTextMark) {
+    return a.type === b.type && (a.type !== 'link' || a.attrs.href === b.attrs.href);
+}
+
+// keeps track of open marks, so marks spanning several nodes are opened and closed once
+function serializeInline(nodes: RichTextNode[], format: InlineFormat) {
+    let ret = '';
+    const open: RichTextMark[] = [];
+    const closeFrom = (index: number) => {
+        while (open.length > index) ret += format.close(open.pop());
+    };
+    (nodes || []).forEach(node => {
+        const marks = (node.type === 'text' && node.marks) || [];
+        // marks stay open as long as all marks opened before them stay too
+        let keep = 0;
+        while (keep < open.length && marks.some(m => sameMark(m, open[keep]))) keep++;
+        closeFrom(keep);
+        marks
+            .filter(m => !open.some(o => sameMark(o, m)))
+            .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type))
+            .forEach(m => {
+                open.push(m);
+                ret += format.open(m);
+            });
+        switch (node.type) {
+            case 'text':
+                ret += format.text(node.text || '', marks);
+                break;
+            case 'mention':
+                ret += format.mention(node.attrs.username);
+                break;
+            case 'hard_break':
+                ret += format.hardBreak;
+                break;
+            default:
+                break;
+        }
+    });
+    closeFrom(0);
+    return ret;
+}
+
+function getText(node: RichTextNode): string {
+    if (node.type === 'text') return node.text || '';
+    return (node.content || []).map(getText).join('');
+}
+
+function indent(text: string, prefix: string, firstLinePrefix = prefix) {
+    return text
+        .split('\n')
+        .map((line, i) => {
+            if (i === 0) return firstLinePrefix + line;
+            return line ? prefix + line : line;
+        })
+        .join('\n');
+}
+
+// escapes characters that would make a line of paragraph text parse as a block in Markdown
+function escapeLineStarts(text: string) {
+    return text
+        .split('\n')
+        .map(line => {
+            if (/^\s*(#{1,6}(\s|$)|>|[-+](\s|$))/.test(line) || /^\s*-(\s*-){2,}\s*$/.test(line)) {
+                return line.replace(/^(\s*)/, '$1\\');
+            }
+            return line.replace(/^(\s*\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+        })
+        .join('\n');
+}
+
+function blocksToText(nodes: RichTextNode[], plain: boolean, separator: string): string {
+    return (nodes || []).map(n => blockToText(n, plain)).join(separator);
+}
+
+function blockToText(node: RichTextNode, plain: boolean): string {
+    const inline = plain ? plainInline : markdownInline;
+    switch (node.type) {
+        case 'doc':
+            return blocksToText(node.content, plain, plain ? '\n' : '\n\n');
+        case 'paragraph': {
+            const text = serializeInline(node.content, inline);
+            return plain ? text : escapeLineStarts(text);
+        }
+        case 'heading': {
+            const text = serializeInline(node.content, inline);
+            return plain ? text : `${'#'.repeat(node.attrs.level || 1)} ${text}`;
+        }
+        case 'blockquote': {
+            const text = blocksToText(node.content, plain, plain ? '\n' : '\n\n');
+            return plain ? text : indent(text, '> ').replace(/^$/gm, '>');
+        }
+        case 'code_block': {
+            const text = getText(node);
+            if (plain) return text;
+            const fence = /^```/m.test(text) ? '~~~' : '```';
+            return `${fence}\n${text}\n${fence}`;
+        }
+        case 'horizontal_rule':
+            return '---';
+        case 'bullet_list':
+            return (node.content || [])
+                .map(item => indent(blockToText(item, plain), '  ', '- '))
+                .join('\n');
+        case 'ordered_list': {
+            const start = (node.attrs && node.attrs.order) || 1;
+            return (node.content || [])
+                .map((item, i) => {
+                    const marker = `${start + i}. `;
+                    return indent(blockToText(item, plain), ' '.repeat(marker.length), marker);
+                })
+                .join('\n');
+        }
+        case 'list_item':
+            return blocksToText(node.content, plain, '\n');
+        default:
+            return serializeInline([node], inline);
+    }
+}
+
+/**
+ * Converts ProseMirror document JSON to Markdown that markdownToRichText() parses back.
+ */
+export function richTextToMarkdown(doc: RichTextNode): string {
+    if (!doc) return '';
+    return blockToText(doc, false);
+}
+
+/**
+ * Converts ProseMirror document JSON to plain text, for notifications and such.
+ * Formatting is dropped, lists keep their markers and links have their url in parentheses.
+ */
+export function richTextToPlainText(doc: RichTextNode): string {
+    if (!doc) return '';
+    return blockToText(doc, true);
+}
+
+/**
+ * Converts ProseMirror document JSON to HTML, used as legacy text for clients that don't support rich text.
+ */
+export function richTextToHTML(node: RichTextNode): string {
+    if (!node) return '';
+    const children = () => (node.content || []).map(richTextToHTML).join('');
+    switch (node.type) {
+        case 'doc':
+            return children();
+        case 'paragraph':
+            return `<p>${serializeInline(node.content, htmlInline)}</p>`;
+        case 'heading': {
+            const level = Math.min(Math.max(node.attrs.level || 1, 1), 6);
+            return `<h${level}>${serializeInline(node.content, htmlInline)}</h${level}>`;
+        }
+        case 'blockquote':
+            return `<blockquote>${children()}</blockquote>`;
+        case 'code_block':
+            return `<pre><code>${escapeHTML(getText(node))}</code></pre>`;
+        case 'horizontal_rule':
+            return '<hr>';
+        case 'bullet_list':
+            return `<ul>${children()}</ul>`;
+        case 'ordered_list': {
+            const start = (node.attrs && node.attrs.order) || 1;
+            return start === 1
+                ? `<ol>${children()}</ol>`
+                : `<ol start="${start}">${children()}</ol>`;
+        }
+        case 'list_item':
+            return `<li>${children()}</li>`;
+        default:
+            return serializeInline([node], htmlInline);
+    }
+}
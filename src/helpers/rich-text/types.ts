@@ -0,0 +1,42 @@
+/**
+ * Rich text is stored in messages as ProseMirror document JSON.
+ * Node and mark names follow prosemirror-schema-basic and prosemirror-schema-list,
+ * with additional 'mention' node and 'strike' mark.
+ */
+
+export type RichTextMarkType = 'link' | 'strong' | 'em' | 'strike' | 'code';
+
+export interface RichTextMark {
+    type: RichTextMarkType;
+    /** href for links */
+    attrs?: { href: string };
+}
+
+export type RichTextNodeType =
+    | 'doc'
+    | 'paragraph'
+    | 'heading'
+    | 'blockquote'
+    | 'code_block'
+    | 'horizontal_rule'
+    | 'bullet_list'
+    | 'ordered_list'
+    | 'list_item'
+    | 'hard_break'
+    | 'mention'
+    | 'text';
+
+export interface RichTextNode {
+    type: RichTextNodeType;
+    /** heading: level, ordered_list: order, mention: username */
+    attrs?: { level?: number; order?: number; username?: string };
+    content?: RichTextNode[];
+    /** text nodes only */
+    text?: string;
+    marks?: RichTextMark[];
+}
+
+/**
+ * Order of marks on a text node, same as the order of marks in the schema.
+ */
+export const MARK_ORDER: RichTextMarkType[] = ['link', 'strong', 'em', 'strike', 'code'];
@@ -0,0 +1,158 @@
+/**
+ * In-memory inverted index for full-text search of short documents like chat messages.
+ */
+
+// anything that is not whitespace or ASCII punctuation is considered a part of a word
+const wordRegex = /[^\s!-/:-@[-`{-~]+/g;
+
+export interface SearchDocument {
+    id: string;
+    sender: string;
+    timestamp: number;
+    text: string;
+}
+
+export interface SearchMatch {
+    /** position of the matching word in document text */
+    start: number;
+    length: number;
+}
+
+export interface SearchResult {
+    id: string;
+    sender: string;
+    timestamp: number;
+    text: string;
+    matches: SearchMatch[];
+}
+
+export interface SearchFilter {
+    sender?: string;
+    /** only documents older than this */
+    before?: Date | number;
+    /** only documents newer than this */
+    after?: Date | number;
+}
+
+export interface SerializedSearchIndex {
+    version: number;
+    documents: SearchDocument[];
+}
+
+const SERIALIZATION_VERSION = 1;
+
+/**
+ * Splits text into lowercase words with their positions.
+ */
+export function tokenize(text: string): Array<{ word: string; start: number; length: number }> {
+    const ret = [];
+    if (!text) return ret;
+    const regex = new RegExp(wordRegex.source, 'g');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        ret.push({ word: match[0].toLowerCase(), start: match.index, length: match[0].length });
+    }
+    return ret;
+}
+
+export default class SearchIndex {
+    protected documents = new Map<string, SearchDocument>();
+    // word -> ids of documents containing it
+    protected postings = new Map<string, Set<string>>();
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(id: string) {
+        return this.documents.has(id);
+    }
+
+    /**
+     * Adds document to the index, replaces existing document with the same id.
+     */
+    add(doc: SearchDocument) {
+        this.remove(doc.id);
+        this.documents.set(doc.id, doc);
+        for (const { word } of tokenize(doc.text)) {
+            let ids = this.postings.get(word);
+            if (!ids) {
+                ids = new Set();
+                this.postings.set(word, ids);
+            }
+            ids.add(doc.id);
+        }
+    }
+
+    remove(id: string) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+        this.documents.delete(id);
+        for (const { word } of tokenize(doc.text)) {
+            const ids = this.postings.get(word);
+            if (!ids) continue;
+            ids.delete(id);
+            if (!ids.size) this.postings.delete(word);
+        }
+    }
+
+    /**
+     * Finds documents containing all words from the query.
+     * Query words match by prefix, so results are available while user is still typing.
+     * @returns results sorted from newest to oldest
+     */
+    search(query: string, filter: SearchFilter = {}): SearchResult[] {
+        const queryWords = Array.from(new Set(tokenize(query).map(t => t.word)));
+        if (!queryWords.length) return [];
+        let candidates: Set<string> = null;
+        for (const qw of queryWords) {
+            const found = new Set<string>();
+            this.postings.forEach((ids, word) => {
+                if (!word.startsWith(qw)) return;
+                ids.forEach(id => {
+                    if (!candidates || candidates.has(id)) found.add(id);
+                });
+            });
+            candidates = found;
+            if (!candidates.size) return [];
+        }
+        const before = filter.before == null ? Infinity : +filter.before;
+        const after = filter.after == null ? -Infinity : +filter.after;
+
+        const ret: SearchResult[] = [];
+        candidates.forEach(id => {
+            const doc = this.documents.get(id);
+            if (filter.sender && doc.sender !== filter.sender) return;
+            if (doc.timestamp >= before || doc.timestamp <= after) return;
+            const matches = tokenize(doc.text)
+                .filter(t => queryWords.some(qw => t.word.startsWith(qw)))
+                .map(t => ({ start: t.start, length: t.length }));
+            ret.push({
+                id: doc.id,
+                sender: doc.sender,
+                timestamp: doc.timestamp,
+                text: doc.text,
+                matches
+            });
+        });
+        return ret.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    serialize(): SerializedSearchIndex {
+        return {
+            version: SERIALIZATION_VERSION,
+            documents: Array.from(this.documents.values())
+        };
+    }
+
+    /**
+     * Word postings are not stored, they are rebuilt from documents.
+     * @returns null if data is from unsupported version
+     */
+    static deserialize(data: SerializedSearchIndex): SearchIndex | null {
+        if (!data || data.version !== SERIALIZATION_VERSION) return null;
+        const index = new SearchIndex();
+        data.documents.forEach(d => index.add(d));
+        return index;
+    }
+}
@@ -6,6 +6,7 @@
  * module should be used instead.
  */
 
+import moment from 'moment';
 import { t } from '../copy/t';
 import contactStore from '../models/contacts/contact-store';
 import Message from '../models/chats/message';
@@ -48,6 +49,25 @@ function getSystemMessageText(msg: Message): ReturnType<typeof t> {
             });
         case 'videoCall':
             return t('title_videoCallLink', { fullName: msg.sender.fullName });
+        case 'messageTTL':
+            return msg.systemData.ttl
+                ? t('title_messageTTLChanged', {
+                      duration: moment.duration(msg.systemData.ttl, 'seconds').humanize()
+                  })
+                : t('title_messageTTLDisabled');
+        case 'poll':
+            return t('title_pollCreated', {
+                fullName: msg.sender.fullName,
+                question: msg.systemData.question
+            });
+        case 'pinMessage':
+            return msg.systemData.pinned
+                ? t('title_messagePinned', { text: msg.systemData.text })
+                : t('title_messageUnpinned', { text: msg.systemData.text });
+        case 'archive':
+            return msg.systemData.archived
+                ? t('title_channelArchived', { fullName: msg.sender.fullName })
+                : t('title_channelUnarchived', { fullName: msg.sender.fullName });
         default:
             return '';
     }
@@ -67,6 +87,10 @@ function getRoleName(role) {
     switch (role) {
         case 'admin':
             return t('title_admin');
+        case 'moderator':
+            return t('title_moderator');
+        case 'readonly':
+            return t('title_readonlyMember');
         default:
             return '';
     }
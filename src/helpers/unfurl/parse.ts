@@ -8,6 +8,28 @@ export interface HTMLParseResult {
     imageURL?: string;
     imageAlt?: string;
     faviconURL?: string;
+    /** url of oEmbed JSON endpoint for this page, set only if page advertises one */
+    oEmbedURL?: string;
+    /** embedded video or audio, set only if page has one */
+    media?: MediaParseResult;
+}
+
+/**
+ * Video or audio found in OpenGraph, Twitter Card, JSON-LD or oEmbed data.
+ */
+export interface MediaParseResult {
+    mediaType: 'video' | 'audio';
+    providerName?: string;
+    title?: string;
+    /** url of a page with embeddable player */
+    embedURL?: string;
+    /** direct url of the media file or stream */
+    streamURL?: string;
+    thumbnailURL?: string;
+    /** seconds */
+    duration?: number;
+    width?: number;
+    height?: number;
 }
 
 export function parseHTML(url: string, data: string): HTMLParseResult | null {
@@ -19,6 +41,8 @@ export function parseHTML(url: string, data: string): HTMLParseResult | null {
         }
 
         const res = {} as HTMLParseResult;
+        // first value of every meta tag, by name or property, for media detection
+        const meta: { [key: string]: string } = {};
 
         // Find head.
         let html = doc.childNodes.find(n => n.nodeName === 'html');
@@ -43,6 +67,8 @@ export function parseHTML(url: string, data: string): HTMLParseResult | null {
                     if (!node.attrs) break;
                     const { name, property, content } = mapAttrs(node.attrs);
                     if (!content) break;
+                    const key = name || property;
+                    if (key && !meta[key]) meta[key] = content;
                     switch (name) {
                         case 'description':
                             if (!res.description) res.description = content; // prefer twitter or og description
@@ -87,8 +113,13 @@ export function parseHTML(url: string, data: string): HTMLParseResult | null {
                     break;
                 }
                 case 'link': {
-                    if (!node.attrs || res.faviconURL) break; // first favicon is fine
-                    const { rel, href } = mapAttrs(node.attrs);
+                    if (!node.attrs) break;
+                    const { rel, href, type } = mapAttrs(node.attrs);
+                    if (rel === 'alternate' && type === 'application/json+oembed') {
+                        if (!res.oEmbedURL && href) res.oEmbedURL = href;
+                        break;
+                    }
+                    if (res.faviconURL) break; // first favicon is fine
                     if (rel === 'shortcut icon' || rel === 'icon') {
                         res.faviconURL = href;
                     }
@@ -112,6 +143,20 @@ export function parseHTML(url: string, data: string): HTMLParseResult | null {
 
         res.imageURL = resolveURL(url, res.imageURL);
         res.faviconURL = resolveURL(url, res.faviconURL);
+        if (res.oEmbedURL) res.oEmbedURL = resolveURL(url, res.oEmbedURL.trim());
+        if (!res.oEmbedURL) delete res.oEmbedURL;
+
+        const media = mergeMedia(
+            parseJSONLDMedia(findJSONLDScripts(doc)),
+            parseOpenGraphMedia(meta),
+            parseTwitterCardMedia(meta)
+        );
+        if (media) {
+            if (!media.providerName) media.providerName = res.siteName;
+            if (!media.title) media.title = res.title;
+            if (!media.thumbnailURL) media.thumbnailURL = res.imageURL;
+            res.media = resolveMediaURLs(url, media);
+        }
         return res;
     } catch (err) {
         console.error(`Failed to parse HTML from ${url}`, err);
@@ -138,3 +183,237 @@ function resolveURL(baseURL: string, urlOrPath: string | undefined): string | un
     if (!resolvedURL.host || !resolvedURL.href) return undefined;
     return resolvedURL.href;
 }
+
+export interface OEmbedParseResult {
+    type: 'photo' | 'video' | 'link' | 'rich';
+    providerName?: string;
+    title?: string;
+    /** src of the iframe from embed html */
+    embedURL?: string;
+    thumbnailURL?: string;
+    /** seconds, not in the spec but some providers have it */
+    duration?: number;
+    width?: number;
+    height?: number;
+}
+
+const oEmbedTypes = { photo: true, video: true, link: true, rich: true };
+
+/**
+ * Parses oEmbed JSON response.
+ * @param url - url of oEmbed endpoint, to resolve relative urls
+ * @returns null for invalid data
+ */
+export function parseOEmbed(url: string, data: string): OEmbedParseResult | null {
+    let json;
+    try {
+        json = JSON.parse(data);
+    } catch (err) {
+        console.error(`Failed to parse oEmbed data from ${url}`, err);
+        return null;
+    }
+    if (!json || typeof json !== 'object' || !oEmbedTypes[json.type]) return null;
+    const res: OEmbedParseResult = {
+        type: json.type,
+        providerName: trimOrUndefined(json.provider_name),
+        title: trimOrUndefined(json.title),
+        embedURL: findIframeSrc(json.html),
+        thumbnailURL: trimOrUndefined(json.thumbnail_url),
+        duration: toNumber(json.duration),
+        width: toNumber(json.width),
+        height: toNumber(json.height)
+    };
+    return resolveMediaURLs(url, res);
+}
+
+/**
+ * Combines oEmbed data with media found on the page, oEmbed data takes priority.
+ * oEmbed 'rich' type can be anything, so it's used only when page itself has media.
+ * @returns null if there's no media
+ */
+export function getMediaWithOEmbed(
+    oEmbed: OEmbedParseResult | null,
+    pageMedia: MediaParseResult | null
+): MediaParseResult | null {
+    if (!oEmbed || !(oEmbed.type === 'video' || (oEmbed.type === 'rich' && pageMedia))) {
+        return pageMedia;
+    }
+    const fromOEmbed = Object.assign({}, oEmbed, {
+        mediaType: pageMedia ? pageMedia.mediaType : 'video'
+    });
+    delete fromOEmbed.type;
+    return mergeMedia(fromOEmbed, pageMedia);
+}
+
+// sizes like '100%' are not numbers we can use
+function toNumber(value: unknown): number | undefined {
+    const num = typeof value === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(value) ? +value : value;
+    if (typeof num !== 'number' || !isFinite(num) || num <= 0) return undefined;
+    return num;
+}
+
+/**
+ * Parses ISO 8601 duration as used by schema.org, e.g. 'PT1H2M3S'.
+ * @returns seconds
+ */
+export function parseISODuration(duration: unknown): number | undefined {
+    if (typeof duration !== 'string') return undefined;
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+        duration.trim()
+    );
+    if (!match) return undefined;
+    const [, days, hours, minutes, seconds] = match.map(v => +(v || 0));
+    return toNumber(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+}
+
+function findIframeSrc(html: unknown): string | undefined {
+    if (typeof html !== 'string') return undefined;
+    const fragment = parse5.parseFragment(html) as any;
+    let src: string;
+    walk(fragment, node => {
+        if (src || node.nodeName !== 'iframe' || !node.attrs) return;
+        src = mapAttrs(node.attrs).src;
+    });
+    return trimOrUndefined(src);
+}
+
+function walk(node, fn: (node) => void) {
+    fn(node);
+    if (node.childNodes) node.childNodes.forEach(n => walk(n, fn));
+}
+
+function findJSONLDScripts(doc): any[] {
+    const ret = [];
+    walk(doc, node => {
+        if (node.nodeName !== 'script' || !node.attrs || !node.childNodes) return;
+        if (mapAttrs(node.attrs).type !== 'application/ld+json') return;
+        const textNode = node.childNodes.find(n => n.nodeName === '#text');
+        if (!textNode) return;
+        try {
+            ret.push(JSON.parse(textNode.value));
+        } catch (err) {
+            // broken JSON-LD is common and we don't want to fail entire parsing because of it
+        }
+    });
+    return ret;
+}
+
+const jsonLDMediaTypes = { VideoObject: 'video', AudioObject: 'audio' };
+
+function findJSONLDMediaObject(data, depth = 0) {
+    if (!data || typeof data !== 'object' || depth > 6) return null;
+    if (Array.isArray(data)) {
+        for (const item of data) {
+            const found = findJSONLDMediaObject(item, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+    const types = [].concat(data['@type']);
+    if (types.some(t => jsonLDMediaTypes[t])) return data;
+    return (
+        findJSONLDMediaObject(data['@graph'], depth + 1) ||
+        findJSONLDMediaObject(data.video, depth + 1) ||
+        findJSONLDMediaObject(data.audio, depth + 1) ||
+        findJSONLDMediaObject(data.mainEntity, depth + 1)
+    );
+}
+
+function jsonLDString(value): string | undefined {
+    if (Array.isArray(value)) return jsonLDString(value[0]);
+    if (value && typeof value === 'object') return jsonLDString(value.url || value.name);
+    return trimOrUndefined(value);
+}
+
+function parseJSONLDMedia(scripts: any[]): MediaParseResult | null {
+    const obj = findJSONLDMediaObject(scripts);
+    if (!obj) return null;
+    const types = [].concat(obj['@type']);
+    const org = obj.provider || obj.publisher;
+    return {
+        mediaType: types.includes('AudioObject') ? 'audio' : 'video',
+        providerName: org && typeof org === 'object' ? jsonLDString(org.name) : undefined,
+        title: jsonLDString(obj.name),
+        embedURL: jsonLDString(obj.embedUrl),
+        streamURL: jsonLDString(obj.contentUrl),
+        thumbnailURL: jsonLDString(obj.thumbnailUrl || obj.thumbnail),
+        duration: parseISODuration(obj.duration),
+        width: toNumber(obj.width),
+        height: toNumber(obj.height)
+    };
+}
+
+function parseOpenGraphMedia(meta: { [key: string]: string }): MediaParseResult | null {
+    const type = meta['og:type'] || '';
+    const video = meta['og:video:secure_url'] || meta['og:video:url'] || meta['og:video'];
+    const audio = meta['og:audio:secure_url'] || meta['og:audio:url'] || meta['og:audio'];
+    if (video) {
+        // players are html pages, anything else is a media file
+        const isPlayer = meta['og:video:type'] === 'text/html';
+        return {
+            mediaType: 'video',
+            embedURL: isPlayer ? video : undefined,
+            streamURL: isPlayer ? undefined : video,
+            duration: toNumber(meta['video:duration'] || meta['og:video:duration']),
+            width: toNumber(meta['og:video:width']),
+            height: toNumber(meta['og:video:height'])
+        };
+    }
+    if (audio || type.startsWith('music.')) {
+        return {
+            mediaType: 'audio',
+            streamURL: audio,
+            duration: toNumber(meta['music:duration'])
+        };
+    }
+    return null;
+}
+
+function parseTwitterCardMedia(meta: { [key: string]: string }): MediaParseResult | null {
+    if (meta['twitter:card'] !== 'player') return null;
+    const embedURL = meta['twitter:player'];
+    const streamURL = meta['twitter:player:stream'];
+    if (!embedURL && !streamURL) return null;
+    const streamType = meta['twitter:player:stream:content_type'] || '';
+    return {
+        mediaType: streamType.startsWith('audio/') ? 'audio' : 'video',
+        title: meta['twitter:title'],
+        embedURL,
+        streamURL,
+        thumbnailURL: meta['twitter:image'] || meta['twitter:image:src'],
+        width: toNumber(meta['twitter:player:width']),
+        height: toNumber(meta['twitter:player:height'])
+    };
+}
+
+/**
+ * Combines media found in different sources, earlier sources take priority.
+ */
+function mergeMedia(...sources: Array<MediaParseResult | null>): MediaParseResult | null {
+    const found = sources.filter(m => !!m);
+    if (!found.length) return null;
+    const ret = {} as MediaParseResult;
+    found.forEach(media => {
+        Object.keys(media).forEach(key => {
+            if (ret[key] === undefined && media[key] !== undefined) ret[key] = media[key];
+        });
+    });
+    return ret;
+}
+
+function resolveMediaURLs<T extends MediaParseResult | OEmbedParseResult>(
+    baseURL: string,
+    media: T
+): T {
+    const ret = {} as T;
+    Object.keys(media).forEach(key => {
+        let value = media[key];
+        if (typeof value === 'string') value = value.trim();
+        if (key === 'embedURL' || key === 'streamURL' || key === 'thumbnailURL') {
+            value = resolveURL(baseURL, value);
+        }
+        // leaving out missing values, so results are easy to compare
+        if (value !== undefined && value !== '') ret[key] = value;
+    });
+    return ret;
+}
@@ -0,0 +1,142 @@
+/**
+ * Privacy rules deciding which links can be fetched to build previews.
+ * Every fetch reveals user's IP address to the site, so users can limit it.
+ */
+
+import * as urlParser from 'url';
+import { ExternalContent, ExternalImage } from './types';
+
+export interface LinkPreviewPolicyRules {
+    /** domains to always fetch previews from, subdomains included */
+    allowedDomains: string[];
+    /** domains to never fetch anything from, subdomains included. Takes priority over allowed domains */
+    deniedDomains: string[];
+    /** fetch previews only for links sent by current user and favorite contacts, except allowed domains */
+    trustedSendersOnly: boolean;
+    /** images larger than this (bytes) are not previewed, 0 - no limit */
+    maxImageSize: number;
+    /** remove known tracking query parameters from links before fetching */
+    stripTrackingParams: boolean;
+}
+
+export const defaultLinkPreviewPolicy: LinkPreviewPolicyRules = {
+    allowedDomains: [],
+    deniedDomains: [],
+    trustedSendersOnly: false,
+    maxImageSize: 0,
+    stripTrackingParams: true
+};
+
+/**
+ * Brings user input like '*.Example.com.' to 'example.com'.
+ * @returns null if there's nothing that looks like a domain
+ */
+export function normalizeDomain(domain: string): string | null {
+    if (!domain) return null;
+    const ret = domain
+        .trim()
+        .toLowerCase()
+        .replace(/^\*?\.+/, '')
+        .replace(/\.+$/, '');
+    if (!ret || /[\s/:?#@]/.test(ret)) return null;
+    return ret;
+}
+
+/**
+ * True if hostname is the domain or its subdomain.
+ */
+export function matchesDomain(hostname: string, domain: string): boolean {
+    const host = (hostname || '').toLowerCase().replace(/\.+$/, '');
+    const normalized = normalizeDomain(domain);
+    if (!host || !normalized) return false;
+    return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * Decides if a preview can be fetched for the url.
+ * @param senderTrusted - link was sent by current user or a trusted contact,
+ *                        pass true for resources of a page that was already allowed (images, icons)
+ */
+export function isUrlAllowed(
+    url: string,
+    policy: LinkPreviewPolicyRules,
+    senderTrusted: boolean
+): boolean {
+    const { hostname } = urlParser.parse(url);
+    if (!hostname) return false;
+    if (policy.deniedDomains.some(d => matchesDomain(hostname, d))) return false;
+    if (policy.allowedDomains.some(d => matchesDomain(hostname, d))) return true;
+    return senderTrusted || !policy.trustedSendersOnly;
+}
+
+/**
+ * Removes query parameters used for tracking, keeps the rest of the url intact.
+ * @param trackingParams - parameter names, 'name*' matches all parameters starting with 'name'
+ */
+export function stripTrackingParams(url: string, trackingParams: string[]): string {
+    const hashIndex = url.indexOf('#');
+    const hash = hashIndex === -1 ? '' : url.substr(hashIndex);
+    const withoutHash = hashIndex === -1 ? url : url.substr(0, hashIndex);
+    const queryIndex = withoutHash.indexOf('?');
+    if (queryIndex === -1) return url;
+    const base = withoutHash.substr(0, queryIndex);
+    const isTracking = (name: string) =>
+        trackingParams.some(p => (p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p));
+    const params = withoutHash
+        .substr(queryIndex + 1)
+        .split('&')
+        .filter(param => {
+            if (!param) return false;
+            let name = param.split('=')[0];
+            try {
+                name = decodeURIComponent(name);
+            } catch (err) {
+                // malformed escape sequence, compare as is
+            }
+            return !isTracking(name.toLowerCase());
+        });
+    return (params.length ? `${base}?${params.join('&')}` : base) + hash;
+}
+
+function isImageAllowed(image: ExternalImage | undefined, policy: LinkPreviewPolicyRules) {
+    if (!image) return false;
+    // unknown size (0) is allowed, there's no way to tell without downloading
+    if (policy.maxImageSize && image.length > policy.maxImageSize) return false;
+    return isUrlAllowed(image.url, policy, true);
+}
+
+/**
+ * Removes parts of link preview that policy doesn't allow anymore:
+ * images over size limit and anything hosted on denied domains.
+ * Needed because previews are cached and policy can change after that.
+ * @returns preview to show or null if nothing is left to show
+ */
+export function applyLinkPreviewPolicy(
+    content: ExternalContent | null,
+    policy: LinkPreviewPolicyRules
+): ExternalContent | null {
+    if (!content) return null;
+    switch (content.type) {
+        case 'image':
+            return isImageAllowed(content, policy) ? content : null;
+        case 'html': {
+            const ret = Object.assign({}, content);
+            if (!isImageAllowed(ret.favicon, policy)) delete ret.favicon;
+            if (!isImageAllowed(ret.image, policy)) {
+                delete ret.image;
+                delete ret.imageAlt;
+            }
+            return ret;
+        }
+        case 'video':
+        case 'audio': {
+            const ret = Object.assign({}, content);
+            if (!isImageAllowed(ret.thumbnail, policy)) delete ret.thumbnail;
+            if (ret.embedURL && !isUrlAllowed(ret.embedURL, policy, true)) delete ret.embedURL;
+            if (ret.streamURL && !isUrlAllowed(ret.streamURL, policy, true)) delete ret.streamURL;
+            return ret.embedURL || ret.streamURL ? ret : null;
+        }
+        default:
+            return content;
+    }
+}
@@ -19,4 +19,44 @@ export type ExternalWebsite = {
     imageAlt?: string;
 };
 
-export type ExternalContent = ExternalWebsite | ExternalImage;
+export type ExternalMedia = {
+    type: 'video' | 'audio';
+    /** url of the page media was found on */
+    url: string;
+    providerName: string;
+    title?: string;
+    /** https url of a page with embeddable player */
+    embedURL?: string;
+    /** https url of the media file or stream */
+    streamURL?: string;
+    thumbnail?: ExternalImage;
+    /** seconds */
+    duration?: number;
+    width?: number;
+    height?: number;
+};
+
+export type ExternalContent = ExternalWebsite | ExternalImage | ExternalMedia;
+
+/**
+ * Response of `config.unfurl.proxyFetch`, same data unfurl would get from a direct request.
+ */
+export type UnfurlFetchResult = {
+    /** final url after redirects */
+    responseURL: string;
+    /** header value, parameters are ignored */
+    contentType: string;
+    contentLength: number;
+    /** text content for html and oEmbed, may be partial */
+    contentText?: string;
+};
+
+/**
+ * Fetches url for link preview on behalf of the client.
+ * Should resolve to null when the response is not successful.
+ * @param maxContentLength - proxy doesn't need to return more text than this
+ */
+export type UnfurlProxyFetch = (
+    url: string,
+    maxContentLength: number
+) => PromiseLike<UnfurlFetchResult | null>;
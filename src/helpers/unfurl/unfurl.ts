@@ -9,9 +9,23 @@ import config from '../../config';
 import clientApp from '../../models/client-app';
 import TaskQueue from '../task-queue';
 import CacheEngineBase from '../../db/cache-engine-base';
-import { ExternalContent, ExternalWebsite, ExternalImage } from './types';
-import { parseHTML } from './parse';
+import {
+    ExternalContent,
+    ExternalWebsite,
+    ExternalImage,
+    ExternalMedia,
+    UnfurlFetchResult
+} from './types';
+import { parseHTML, parseOEmbed, getMediaWithOEmbed, HTMLParseResult } from './parse';
+import {
+    LinkPreviewPolicyRules,
+    defaultLinkPreviewPolicy,
+    isUrlAllowed,
+    stripTrackingParams,
+    applyLinkPreviewPolicy
+} from './policy';
 import { truncateWithEllipsis } from '../string';
+import { getUser } from '../di-current-user';
 const urlRegex: RegExp = require('url-regex')();
 
 const urlsInProgress: { [url: string]: Promise<ExternalContent | null> } = {};
@@ -23,6 +37,11 @@ export const htmlContentTypes = {
     'application/xhtml+xml': true
 };
 
+export const oEmbedContentTypes = {
+    'application/json': true,
+    'text/javascript': true // some providers still use it
+};
+
 /**
  * Detects urls in a string and returns them.
  * @param str - string containing zero or more urls
@@ -32,14 +51,27 @@ export function getUrls(str: string): string[] {
     return str.match(urlRegex) || [];
 }
 
-interface FetchedContent {
-    responseURL: string;
-    contentType: string;
-    contentLength: number;
-    contentText?: string; // may be partial
+type FetchedContent = UnfurlFetchResult;
+
+function getPolicy(): LinkPreviewPolicyRules {
+    const user = getUser();
+    return user && user.linkPreviewPolicy ? user.linkPreviewPolicy.rules : defaultLinkPreviewPolicy;
 }
 
-export async function processUrl(url: string): Promise<ExternalContent | null> {
+/**
+ * Fetches preview for the url if current link preview policy allows it.
+ * @param senderTrusted - url was sent by current user or a favorite contact
+ */
+export async function processUrl(
+    originalUrl: string,
+    senderTrusted = true
+): Promise<ExternalContent | null> {
+    const policy = getPolicy();
+    const url = policy.stripTrackingParams
+        ? stripTrackingParams(originalUrl, config.unfurl.trackingParams)
+        : originalUrl;
+    if (!isUrlAllowed(url, policy, senderTrusted)) return null;
+
     if (!urlCache) {
         urlCache = new config.CacheEngine('unfurl', 'url');
     }
@@ -48,14 +80,14 @@ export async function processUrl(url: string): Promise<ExternalContent | null> {
     }
 
     const cached = await urlCache.getValue(url);
-    if (cached) return cached;
+    if (cached) return applyLinkPreviewPolicy(cached, policy);
 
     return queue.addTask<ExternalContent | null>(async () => {
         try {
             const content = await getExternalContent(url);
             if (!content) return null;
             await urlCache.setValue(url, content);
-            return content;
+            return applyLinkPreviewPolicy(content, getPolicy());
         } catch (err) {
             console.error(err);
             // There's no reliable way to know if XMLHttpRequest has failed due to disconnection,
@@ -75,7 +107,7 @@ export async function processUrl(url: string): Promise<ExternalContent | null> {
                             queue.pause();
                         }
                         resolved = true;
-                        resolve(processUrl(url));
+                        resolve(processUrl(originalUrl, senderTrusted));
                     }
                 );
                 setTimeout(() => {
@@ -109,6 +141,8 @@ export async function getExternalContent(
     }
 
     if (!goodUrl(url)) return null;
+    // page itself was checked already, this is for its images
+    if (!isUrlAllowed(url, getPolicy(), true)) return null;
 
     if (urlsInProgress[url]) return urlsInProgress[url];
 
@@ -137,6 +171,8 @@ export async function getExternalContent(
             if (!fetched.contentText) return null;
             const html = parseHTML(fetched.responseURL, fetched.contentText);
             if (!html) return null;
+            const media = await getExternalMedia(url, html);
+            if (media) return media;
             const website: ExternalWebsite = {
                 type: 'html',
                 url,
@@ -174,7 +210,54 @@ export async function getExternalContent(
     });
 }
 
-function fetchContent(url: string): Promise<FetchedContent | null> {
+async function getExternalMedia(url: string, html: HTMLParseResult): Promise<ExternalMedia | null> {
+    let oEmbed = null;
+    if (
+        html.oEmbedURL &&
+        goodUrl(html.oEmbedURL) &&
+        isUrlAllowed(html.oEmbedURL, getPolicy(), true)
+    ) {
+        try {
+            const fetched = await fetchContent(html.oEmbedURL, oEmbedContentTypes);
+            if (fetched && fetched.contentText) {
+                oEmbed = parseOEmbed(fetched.responseURL, fetched.contentText);
+            }
+        } catch (err) {
+            // page is still good to unfurl without oEmbed
+            console.error(`Failed to fetch oEmbed data for ${url}`, err);
+        }
+    }
+    const data = getMediaWithOEmbed(oEmbed, html.media);
+    if (!data) return null;
+    const embedURL = data.embedURL && goodUrl(data.embedURL) ? data.embedURL : undefined;
+    const streamURL = data.streamURL && goodUrl(data.streamURL) ? data.streamURL : undefined;
+    // nothing to play
+    if (!embedURL && !streamURL) return null;
+    const media: ExternalMedia = {
+        type: data.mediaType,
+        url,
+        providerName: truncate(data.providerName || html.siteName, config.unfurl.maxSiteNameLength),
+        title: truncate(data.title, config.unfurl.maxTitleLength),
+        embedURL,
+        streamURL,
+        duration: data.duration,
+        width: data.width,
+        height: data.height
+    };
+    if (data.thumbnailURL) {
+        const thumbnail = await getExternalContent(data.thumbnailURL, true);
+        if (thumbnail && thumbnail.type === 'image' && !thumbnail.isInsecure) {
+            media.thumbnail = thumbnail;
+        }
+    }
+    return media;
+}
+
+function fetchContent(
+    url: string,
+    acceptedContentTypes: { [contentType: string]: boolean } = htmlContentTypes
+): Promise<FetchedContent | null> {
+    if (config.unfurl.proxyFetch) return fetchContentWithProxy(url, acceptedContentTypes);
     return new Promise((resolve, reject) => {
         const req = new XMLHttpRequest();
         let resolved = false;
@@ -207,8 +290,8 @@ function fetchContent(url: string): Promise<FetchedContent | null> {
                         resolve(resp);
                         return;
                     }
-                    // Not HTML/XHTML? Stop.
-                    if (!htmlContentTypes[resp.contentType]) {
+                    // Not HTML/XHTML (or other requested type)? Stop.
+                    if (!acceptedContentTypes[resp.contentType]) {
                         resolved = true;
                         req.abort();
                         resolve(null);
@@ -253,6 +336,31 @@ function fetchContent(url: string): Promise<FetchedContent | null> {
     });
 }
 
+/**
+ * Same as fetchContent, but the request is made by `config.unfurl.proxyFetch`.
+ */
+async function fetchContentWithProxy(
+    url: string,
+    acceptedContentTypes: { [contentType: string]: boolean }
+): Promise<FetchedContent | null> {
+    const fetched = await config.unfurl.proxyFetch(url, config.unfurl.maxHTMLContentLength);
+    if (!fetched) return null;
+    // Ensure we weren't redirected to insecure URL.
+    if (fetched.responseURL && !goodUrl(fetched.responseURL)) return null;
+    const resp: FetchedContent = {
+        responseURL: fetched.responseURL || url,
+        contentType: parseContentType(fetched.contentType),
+        contentLength: +(fetched.contentLength || 0)
+    };
+    // Image? Content is not needed.
+    if (resp.contentType && config.chat.allowedInlineImageTypes[resp.contentType]) return resp;
+    if (!acceptedContentTypes[resp.contentType]) return null;
+    if (fetched.contentText) {
+        resp.contentText = fetched.contentText.substr(0, config.unfurl.maxHTMLContentLength);
+    }
+    return resp;
+}
+
 function parseContentType(headerValue: string | null): string {
     if (!headerValue) return '';
     return headerValue.split(';')[0] || '';
@@ -0,0 +1,87 @@
+import SyncedKeg from '../kegs/synced-keg';
+import { getUser } from '../../helpers/di-current-user';
+import { IKegDb } from '../../defs/interfaces';
+import { serverErrorCodes } from '../../errors';
+
+export interface ChatDraft {
+    text: string;
+    /** A ProseMirror document tree, as JSON */
+    richText?: unknown;
+    /** Timestamp of the last edit, used to resolve conflicts between devices */
+    updatedAt: number;
+}
+
+interface ChatDraftsPayload {
+    drafts: { [chatId: string]: ChatDraft };
+}
+interface ChatDraftsProps {}
+
+// cleared drafts are kept for a while so other devices won't resurrect them with older text
+const CLEARED_DRAFT_TTL = 30 * 24 * 60 * 60 * 1000;
+
+export function isDraftEmpty(draft: ChatDraft) {
+    return !draft || (!draft.text && !draft.richText);
+}
+
+/**
+ * ChatDrafts keg holds unsent message drafts for user's chats, so they are available on all devices.
+ * When the same draft is edited on several devices, the most recent edit wins.
+ */
+export default class ChatDrafts extends SyncedKeg<ChatDraftsPayload, ChatDraftsProps> {
+    constructor() {
+        super('chat_drafts', getUser().kegDb as IKegDb);
+    }
+
+    /**
+     * Drafts by chat id, including cleared ones.
+     */
+    drafts: { [chatId: string]: ChatDraft } = {};
+
+    serializeKegPayload() {
+        return {
+            drafts: this.drafts
+        };
+    }
+
+    deserializeKegPayload(payload: ChatDraftsPayload) {
+        this.drafts = payload.drafts || {};
+    }
+
+    /**
+     * @returns draft or undefined if there's none
+     */
+    getDraft(chatId: string): ChatDraft | undefined {
+        return this.drafts[chatId];
+    }
+
+    /**
+     * Stores draft unless keg already has a more recent one.
+     * @returns false - if keg has more recent draft
+     */
+    protected _setDraft(chatId: string, draft: ChatDraft) {
+        const existing = this.drafts[chatId];
+        if (existing && existing.updatedAt >= draft.updatedAt) return false;
+        this.drafts[chatId] = draft;
+        const now = Date.now();
+        Object.keys(this.drafts).forEach(id => {
+            const d = this.drafts[id];
+            if (isDraftEmpty(d) && now - d.updatedAt > CLEARED_DRAFT_TTL) delete this.drafts[id];
+        });
+        return true;
+    }
+
+    /**
+     * Saves chat draft. Use empty text to clear the draft.
+     * If another device saved the keg in the meantime, keg gets reloaded and save is attempted again,
+     * so edits of other chats' drafts are not lost and the most recent edit of this chat's draft wins.
+     */
+    saveDraft(chatId: string, draft: ChatDraft, isRetry = false): Promise<void> {
+        return this.save(() => this._setDraft(chatId, draft)).catch(err => {
+            if (!isRetry && err && err.code === serverErrorCodes.malformedRequest) {
+                // keg was reloaded by SyncedKeg.save
+                return this.saveDraft(chatId, draft, true);
+            }
+            return Promise.reject(err);
+        });
+    }
+}
@@ -1,5 +1,5 @@
 import SyncedKeg from '../kegs/synced-keg';
-import { observable } from 'mobx';
+import { observable, IObservableArray } from 'mobx';
 import SharedKegDb from '../../models/kegs/shared-keg-db';
 
 interface IChatHeadPayload {
@@ -9,6 +9,9 @@ interface IChatHeadPayload {
     spaceName: string;
     spaceDescription: string;
     spaceRoomType: 'internal' | 'patient';
+    messageTTL?: number;
+    pinnedMessageIds?: string[];
+    archived?: boolean;
 }
 
 interface IChatHeadProps {}
@@ -22,6 +25,18 @@ export default class ChatHead extends SyncedKeg<IChatHeadPayload, IChatHeadProps
 
     @observable chatName = '';
     @observable purpose = '';
+    /**
+     * Seconds after which new messages in this chat expire. 0 - messages don't expire.
+     */
+    @observable messageTTL = 0;
+    /**
+     * Ids of pinned message kegs, in order of pinning.
+     */
+    @observable.shallow pinnedMessageIds = [] as IObservableArray<string>;
+    /**
+     * Archived channel is read-only for all participants and is listed separately.
+     */
+    @observable archived = false;
 
     /** SPACE PROPERTIES */
     @observable spaceId: string = null;
@@ -38,7 +53,10 @@ export default class ChatHead extends SyncedKeg<IChatHeadPayload, IChatHeadProps
             spaceName: this.spaceName,
             nameInSpace: this.nameInSpace,
             spaceDescription: this.spaceDescription,
-            spaceRoomType: this.spaceRoomType
+            spaceRoomType: this.spaceRoomType,
+            messageTTL: this.messageTTL,
+            pinnedMessageIds: this.pinnedMessageIds.slice(),
+            archived: this.archived
         };
     }
 
@@ -50,5 +68,8 @@ export default class ChatHead extends SyncedKeg<IChatHeadPayload, IChatHeadProps
         this.nameInSpace = payload.nameInSpace;
         this.spaceDescription = payload.spaceDescription;
         this.spaceRoomType = payload.spaceRoomType;
+        this.messageTTL = payload.messageTTL || 0;
+        this.pinnedMessageIds.replace(payload.pinnedMessageIds || []);
+        this.archived = !!payload.archived;
     }
 }
@@ -0,0 +1,145 @@
+import { throttle } from 'lodash';
+import config from '../../config';
+import { ChatStore } from './chat-store';
+import CacheEngineBase from '../../db/cache-engine-base';
+import { getUser } from '../../helpers/di-current-user';
+import * as secret from '../../crypto/secret';
+import * as cryptoUtil from '../../crypto/util';
+import Message, { CachedMessageData } from './message';
+import Chat from './chat';
+
+interface SerializedMessagePage {
+    version: number;
+    /** collection version of the most recent update page reflects */
+    downloadedUpdateId: string;
+    /** there are older messages on server */
+    canGoUp: boolean;
+    /** oldest first */
+    messages: CachedMessageData[];
+}
+
+interface MessageCacheRecord {
+    chatId: string;
+    /** encrypted and base64 encoded SerializedMessagePage */
+    data: string;
+}
+
+export interface CachedMessagePage {
+    downloadedUpdateId: string;
+    canGoUp: boolean;
+    messages: Message[];
+}
+
+const PAGE_FORMAT_VERSION = 1;
+
+/**
+ * Local cache of the most recent page of decrypted messages for every chat,
+ * persisted encrypted with user's key. Lets chats render instantly and show history while offline.
+ */
+class ChatStoreMessageCache {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    store: ChatStore;
+    cache: CacheEngineBase<MessageCacheRecord>;
+    protected openPromise: Promise<void>;
+    protected dirtyChats = new Set<Chat>();
+
+    open(): Promise<void> {
+        if (!this.openPromise) {
+            this.cache = new config.CacheEngine('chat_messages', 'chatId');
+            this.openPromise = this.cache.open();
+        }
+        return this.openPromise;
+    }
+
+    protected encrypt(data: SerializedMessagePage): string {
+        const buf = secret.encryptString(JSON.stringify(data), getUser().kegDb.key);
+        return cryptoUtil.bytesToB64(buf);
+    }
+
+    protected decrypt(data: string): SerializedMessagePage {
+        const buf = cryptoUtil.b64ToBytes(data);
+        return JSON.parse(secret.decryptString(buf, getUser().kegDb.key));
+    }
+
+    /**
+     * @returns cached page or null if there's none
+     */
+    async loadPage(chat: Chat): Promise<CachedMessagePage> {
+        await this.open();
+        const record = await this.cache.getValue(chat.id);
+        if (!record) return null;
+        let page: SerializedMessagePage;
+        try {
+            page = this.decrypt(record.data);
+        } catch (err) {
+            console.error('Failed to decrypt cached messages, removing them.', chat.id, err);
+            await this.removeChat(chat.id);
+            return null;
+        }
+        if (page.version !== PAGE_FORMAT_VERSION) return null;
+        const messages = page.messages
+            .map(data => new Message(chat.db).loadFromCache(data))
+            .filter(m => !m.isExpired);
+        return {
+            downloadedUpdateId: page.downloadedUpdateId,
+            canGoUp: page.canGoUp || messages.length < page.messages.length,
+            messages
+        };
+    }
+
+    /**
+     * Schedules saving of the most recent messages of the chat.
+     */
+    savePage(chat: Chat) {
+        this.dirtyChats.add(chat);
+        this.saveDirtyPages();
+    }
+
+    protected saveDirtyPages = throttle(() => {
+        const chats = Array.from(this.dirtyChats);
+        this.dirtyChats.clear();
+        return Promise.map(chats, this.saveChatPage).catch(err =>
+            console.error('Failed to save message cache', err)
+        );
+    }, 5000);
+
+    protected saveChatPage = async (chat: Chat) => {
+        // only a page ending with the most recent message can be updated with diffs later
+        if (!chat.id || !chat.initialPageLoaded || chat.canGoDown || !this.store.chatMap[chat.id]) {
+            return;
+        }
+        // queued and failed messages have no id, they are not part of the server page
+        const recent = chat.messages.slice(-config.chat.initialPageSize);
+        const messages = recent.filter(m => !!m.id);
+        if (messages.some(m => m.signatureError === null)) {
+            // some signatures are not verified yet, can't leave a gap in the page
+            this.savePage(chat);
+            return;
+        }
+        const data = messages.map(m => m.serializeForCache()).filter(d => !!d);
+        const page: SerializedMessagePage = {
+            version: PAGE_FORMAT_VERSION,
+            downloadedUpdateId: chat._messageHandler.downloadedUpdateId,
+            canGoUp: chat.canGoUp || chat.messages.length > recent.length,
+            messages: data
+        };
+        await this.open();
+        await this.cache.setValue(chat.id, { chatId: chat.id, data: this.encrypt(page) });
+    };
+
+    /**
+     * Drops cached messages of the chat, for example when user is no longer a member of the chat.
+     */
+    async removeChat(chatId: string) {
+        await this.open();
+        this.dirtyChats.forEach(c => {
+            if (c.id === chatId) this.dirtyChats.delete(c);
+        });
+        return this.cache.removeValue(chatId);
+    }
+}
+
+export default ChatStoreMessageCache;
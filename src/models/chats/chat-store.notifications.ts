@@ -0,0 +1,177 @@
+import { observable } from 'mobx';
+import { ChatStore } from './chat-store';
+import Chat from './chat';
+import Message from './message';
+import NotificationSettings from './notification-settings';
+import User from '../user/user';
+import clientApp from '../client-app';
+import { richTextToPlainText } from '../../helpers/rich-text/serialize';
+import { RichTextNode } from '../../helpers/rich-text/types';
+import {
+    QuietHours,
+    ChatNotificationSettings,
+    isInQuietHours,
+    isChatMuted
+} from '../../helpers/notification-rules';
+
+export type NotificationType = 'directMessage' | 'mention' | 'keyword' | 'invite' | 'fileShared';
+
+export interface ChatNotification {
+    type: NotificationType;
+    /** chat or channel id, for invites - id of the channel user is invited to */
+    chatId: string;
+    /** username of message sender or inviter */
+    sender: string;
+    /** message text or channel name for invites */
+    text: string;
+    timestamp: Date;
+    chat?: Chat;
+    message?: Message;
+    /** keyword that triggered 'keyword' notification */
+    keyword?: string;
+}
+
+/**
+ * Decides which new messages and invites user should be notified about and emits
+ * `ChatStore.EVENT_TYPES.notification` events with ChatNotification objects.
+ * Settings are stored in a synced keg, so they apply to all user's devices.
+ */
+class ChatStoreNotifications {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    store: ChatStore;
+    @observable.ref settings: NotificationSettings;
+    // id of the newest message we notified about, by chat id, to never notify twice
+    protected lastNotifiedIds: { [chatId: string]: string } = {};
+
+    /**
+     * Call once after login.
+     */
+    start() {
+        if (this.settings) return;
+        this.settings = new NotificationSettings();
+    }
+
+    getChatSettings(chatId: string): ChatNotificationSettings {
+        if (!this.settings) return {};
+        return this.settings.getChatSettings(chatId);
+    }
+
+    /**
+     * @param until - mute until this time, mutes until unmuted if not specified
+     */
+    muteChat(chatId: string, until?: Date) {
+        return this.settings.setChatSettings(chatId, {
+            muted: !until,
+            mutedUntil: until ? +until : null
+        });
+    }
+
+    unmuteChat(chatId: string) {
+        return this.settings.setChatSettings(chatId, { muted: false, mutedUntil: null });
+    }
+
+    setMentionsOnly(chatId: string, mentionsOnly: boolean) {
+        return this.settings.setChatSettings(chatId, { mentionsOnly });
+    }
+
+    setKeywords(keywords: string[]) {
+        return this.settings.setKeywords(keywords);
+    }
+
+    setQuietHours(quietHours: QuietHours) {
+        return this.settings.setQuietHours(quietHours);
+    }
+
+    isChatMuted(chatId: string) {
+        return isChatMuted(this.getChatSettings(chatId), Date.now());
+    }
+
+    protected get isQuietTime() {
+        return !!this.settings && isInQuietHours(this.settings.quietHours, new Date());
+    }
+
+    /**
+     * Processes a batch of messages that were just added to the chat.
+     * @param unreadCount - number of unread messages in chat, only that many newest messages are considered
+     */
+    processMessages(chat: Chat, messages: Message[], unreadCount: number) {
+        if (!this.settings || !this.settings.loaded || !messages.length || !unreadCount) return;
+        const lastNotifiedId = this.lastNotifiedIds[chat.id];
+        const fresh = messages
+            .slice()
+            .sort((m1, m2) => +m1.id - +m2.id)
+            .slice(-unreadCount)
+            .filter(m => !lastNotifiedId || +m.id > +lastNotifiedId);
+        if (!fresh.length) return;
+        this.lastNotifiedIds[chat.id] = fresh[fresh.length - 1].id;
+        // user is looking at the chat already
+        if (chat.active && clientApp.isFocused && clientApp.isInChatsView) return;
+        if (this.isQuietTime) return;
+        const chatSettings = this.getChatSettings(chat.id);
+        if (isChatMuted(chatSettings, Date.now())) return;
+        fresh.forEach(m => {
+            const notification = this.getMessageNotification(chat, m, chatSettings);
+            if (notification) this.emit(notification);
+        });
+    }
+
+    protected getMessageNotification(
+        chat: Chat,
+        m: Message,
+        chatSettings: ChatNotificationSettings
+    ): ChatNotification {
+        if (m.systemData || m.deleted || !m.sender) return null;
+        if (m.sender.username === User.current.username) return null;
+        const ret: ChatNotification = {
+            type: null,
+            chatId: chat.id,
+            sender: m.sender.username,
+            text: m.richText ? richTextToPlainText(m.richText as RichTextNode) : m.text,
+            timestamp: m.timestamp,
+            chat,
+            message: m
+        };
+        if (m.mentionedKeyword) {
+            ret.type = 'keyword';
+            ret.keyword = m.mentionedKeyword;
+            return ret;
+        }
+        if (m.isMention) {
+            ret.type = 'mention';
+            return ret;
+        }
+        if (chatSettings.mentionsOnly) return null;
+        if ((m.files && m.files.length) || (m.folders && m.folders.length)) {
+            ret.type = 'fileShared';
+            return ret;
+        }
+        if (!chat.isChannel) {
+            ret.type = 'directMessage';
+            return ret;
+        }
+        return null;
+    }
+
+    /**
+     * Processes a channel invite user has just received.
+     */
+    processInvite(invite: { kegDbId: string; username: string; channelName: string }) {
+        if (!this.settings || this.isQuietTime) return;
+        this.emit({
+            type: 'invite',
+            chatId: invite.kegDbId,
+            sender: invite.username,
+            text: invite.channelName,
+            timestamp: new Date()
+        });
+    }
+
+    protected emit(notification: ChatNotification) {
+        this.store.events.emit(this.store.EVENT_TYPES.notification, notification);
+    }
+}
+
+export default ChatStoreNotifications;
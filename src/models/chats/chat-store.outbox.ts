@@ -0,0 +1,212 @@
+import config from '../../config';
+import { ChatStore } from './chat-store';
+import CacheEngineBase from '../../db/cache-engine-base';
+import socket from '../../network/socket';
+import { getUser } from '../../helpers/di-current-user';
+import * as secret from '../../crypto/secret';
+import * as cryptoUtil from '../../crypto/util';
+import Message, { MessageReplyTo, MessageForwardedFrom } from './message';
+import Chat from './chat';
+
+interface OutboxMessageData {
+    text: string;
+    richText?: unknown;
+    files?: string[];
+    folders?: string[];
+    replyTo?: MessageReplyTo;
+    forwardedFrom?: MessageForwardedFrom;
+    ttl?: number;
+    timestamp: number;
+    expiresAt?: number;
+    /** keg id obtained by previous send attempt */
+    kegId?: string;
+}
+
+interface OutboxRecord {
+    outboxId: string;
+    chatId: string;
+    /** messages are sent in the order they were queued */
+    queuedAt: number;
+    /** encrypted and base64 encoded OutboxMessageData */
+    data: string;
+}
+
+interface OutboxEntry {
+    record: OutboxRecord;
+    message: Message;
+}
+
+/**
+ * Durable outbox for messages written while offline.
+ * Messages are persisted to cache encrypted with user's key and sent in order once socket is authenticated.
+ */
+class ChatStoreOutbox {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    store: ChatStore;
+    cache: CacheEngineBase<OutboxRecord>;
+    protected openPromise: Promise<void>;
+    protected restorePromise: Promise<void>;
+    // sorted in sending order
+    protected entries: OutboxEntry[] = [];
+    protected processing = false;
+
+    /**
+     * Opens cache, restores messages queued in previous sessions and starts sending them when possible.
+     * Call once after chat store is loaded.
+     */
+    async open() {
+        if (this.openPromise) return this.openPromise;
+        this.cache = new config.CacheEngine('chat_outbox', 'outboxId');
+        this.openPromise = this.cache.open();
+        await this.openPromise;
+        // chats might take a while to load, we don't want to block new messages from queueing
+        this.restorePromise = this.cache
+            .getAllValues()
+            .then(async records => {
+                await Promise.map(records, this.restore);
+            })
+            .catch(err => console.error('Failed to restore outbox', err));
+        socket.onAuthenticated(this.process);
+        this.process();
+        return null;
+    }
+
+    protected encrypt(data: OutboxMessageData): string {
+        const buf = secret.encryptString(JSON.stringify(data), getUser().kegDb.key);
+        return cryptoUtil.bytesToB64(buf);
+    }
+
+    protected decrypt(data: string): OutboxMessageData {
+        const buf = cryptoUtil.b64ToBytes(data);
+        return JSON.parse(secret.decryptString(buf, getUser().kegDb.key));
+    }
+
+    protected serializeMessage(m: Message): OutboxMessageData {
+        return {
+            text: m.text,
+            richText: m.richText,
+            files: m.files,
+            folders: m.folders,
+            replyTo: m.replyTo,
+            forwardedFrom: m.forwardedFrom,
+            ttl: m.ttl,
+            timestamp: m.timestamp.valueOf(),
+            expiresAt: m.expiresAt ? m.expiresAt.valueOf() : undefined,
+            kegId: m.id || undefined
+        };
+    }
+
+    protected restore = async (record: OutboxRecord) => {
+        let data: OutboxMessageData;
+        try {
+            data = this.decrypt(record.data);
+        } catch (err) {
+            console.error('Failed to decrypt outbox message, removing it.', record.outboxId, err);
+            await this.cache.removeValue(record.outboxId);
+            return;
+        }
+        const chat = await this.getChat(record.chatId);
+        if (!chat) {
+            // keeping the record, maybe chat will load next time
+            console.error('Chat for outbox message is not available.', record.chatId);
+            return;
+        }
+        const m = new Message(chat.db);
+        m.text = data.text;
+        m.richText = data.richText;
+        m.files = data.files;
+        m.folders = data.folders;
+        m.replyTo = data.replyTo;
+        m.forwardedFrom = data.forwardedFrom;
+        m.ttl = data.ttl || 0;
+        m.prepareForSending();
+        m.timestamp = new Date(data.timestamp);
+        m.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+        if (data.kegId) {
+            // keg was created by previous attempt, but it's not known if the update went through
+            m.id = data.kegId;
+            m.version = 1;
+        }
+        m.queued = true;
+        this.insertEntry({ record, message: m });
+        chat.addQueuedMessage(m);
+    };
+
+    protected insertEntry(entry: OutboxEntry) {
+        this.entries.push(entry);
+        this.entries.sort((e1, e2) => compareRecords(e1.record, e2.record));
+    }
+
+    protected async getChat(chatId: string): Promise<Chat> {
+        this.store.addChat(chatId, true);
+        if (!this.store.chatMap[chatId]) return null;
+        return this.store
+            .getChatWhenReady(chatId)
+            .timeout(config.chat.outboxChatLoadTimeout)
+            .catch(() => null);
+    }
+
+    /**
+     * Puts message to the outbox. Message is expected to be already prepared for sending.
+     */
+    async add(chat: Chat, m: Message) {
+        m.queued = true;
+        m.sendError = false;
+        const record: OutboxRecord = {
+            outboxId: cryptoUtil.getRandomShortIdHex(),
+            chatId: chat.id,
+            queuedAt: Date.now(),
+            data: this.encrypt(this.serializeMessage(m))
+        };
+        this.insertEntry({ record, message: m });
+        await this.open();
+        await this.cache.setValue(record.outboxId, record);
+        this.process();
+    }
+
+    /**
+     * Sends queued messages one by one. Stops when connection is lost, to continue after reconnect.
+     */
+    process = async () => {
+        if (this.processing || !this.restorePromise) return;
+        this.processing = true;
+        try {
+            // older messages have to be sent first
+            await this.restorePromise;
+            while (this.entries.length && socket.authenticated) {
+                const entry = this.entries[0];
+                try {
+                    // keg id is saved before message data, so restored message can't be sent twice
+                    await entry.message.sendQueued(() => this.updateRecord(entry));
+                } catch (err) {
+                    // will continue after reconnect
+                    if (!socket.authenticated) break;
+                    console.error('Failed to send message from outbox', err);
+                    entry.message.sendError = true;
+                    entry.message.queued = false;
+                }
+                this.entries.shift();
+                await this.cache.removeValue(entry.record.outboxId);
+            }
+        } catch (err) {
+            console.error('Outbox processing failed', err);
+        } finally {
+            this.processing = false;
+        }
+    };
+
+    protected updateRecord(entry: OutboxEntry) {
+        entry.record.data = this.encrypt(this.serializeMessage(entry.message));
+        return this.cache.setValue(entry.record.outboxId, entry.record);
+    }
+}
+
+function compareRecords(r1: OutboxRecord, r2: OutboxRecord) {
+    if (r1.queuedAt !== r2.queuedAt) return r1.queuedAt - r2.queuedAt;
+    return r1.outboxId < r2.outboxId ? -1 : 1;
+}
+
+export default ChatStoreOutbox;
@@ -0,0 +1,125 @@
+import { observable, computed, autorun, IReactionDisposer } from 'mobx';
+import config from '../../config';
+import { ChatStore } from './chat-store';
+import ScheduledMessages, { ScheduledMessage } from './scheduled-messages';
+import Chat from './chat';
+import Clock from '../../helpers/observable-clock';
+import socket from '../../network/socket';
+import { retryUntilSuccess } from '../../helpers/retry';
+
+/**
+ * Sends scheduled messages when they are due.
+ * All user's clients watch the same list, claiming a message before sending makes sure only one of them sends it.
+ */
+class ChatStoreScheduler {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    store: ChatStore;
+    @observable.ref keg: ScheduledMessages;
+    clock = new Clock(config.chat.scheduledMessageCheckInterval);
+    protected processing = false;
+    protected disposer: IReactionDisposer;
+
+    /**
+     * Call once after login.
+     */
+    start() {
+        if (this.keg) return;
+        this.keg = new ScheduledMessages();
+        this.disposer = autorun(() => {
+            if (this.dueItems.length || this.sentItems.length) this.processDueItems();
+        });
+    }
+
+    @computed
+    get dueItems(): ScheduledMessage[] {
+        // not observing the clock when there's nothing to send
+        if (!this.keg || !this.keg.loaded || !this.keg.items.length || !socket.authenticated) {
+            return [];
+        }
+        const now = this.clock.now;
+        return this.keg.items.filter(i => this.keg.isDue(i, now));
+    }
+
+    /**
+     * Items that were sent, but not removed yet.
+     */
+    @computed
+    get sentItems(): ScheduledMessage[] {
+        if (!this.keg || !this.keg.loaded || !socket.authenticated) return [];
+        return this.keg.items.filter(i => i.sent);
+    }
+
+    getChatItems(chatId: string): ScheduledMessage[] {
+        if (!this.keg) return [];
+        return this.keg.items
+            .filter(i => i.chatId === chatId && !i.sent)
+            .sort((i1, i2) => i1.sendAt - i2.sendAt);
+    }
+
+    protected async processDueItems() {
+        if (this.processing) return;
+        this.processing = true;
+        try {
+            // removal failed last time
+            for (const item of this.sentItems.slice()) {
+                await this.removeItem(item);
+            }
+            for (const item of this.dueItems.slice().sort((i1, i2) => i1.sendAt - i2.sendAt)) {
+                if (!socket.authenticated) break;
+                await this.sendItem(item);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    protected async sendItem(item: ScheduledMessage) {
+        if (!(await this.keg.claimItem(item.id))) return;
+        let chat: Chat;
+        try {
+            this.store.addChat(item.chatId, true);
+            chat = await this.store
+                .getChatWhenReady(item.chatId)
+                .timeout(config.chat.outboxChatLoadTimeout);
+        } catch (err) {
+            console.error('Failed to load chat for scheduled message', item.id, err);
+            await this.keg.releaseItem(item.id).catch(console.error);
+            return;
+        }
+        try {
+            await chat.sendScheduledMessage(item);
+        } catch (err) {
+            console.error('Failed to send scheduled message', item.id, err);
+            // sending it again would most likely fail the same way and duplicate the message
+            await this.keg.failItem(item.id).catch(console.error);
+            return;
+        }
+        // failing to mark sent message will result in sending it again, so we insist
+        try {
+            await retryUntilSuccess(() => this.keg.markItemSent(item.id), {
+                id: `mark scheduled message ${item.id} sent`,
+                maxRetries: 10
+            });
+        } catch (err) {
+            console.error('Failed to mark scheduled message as sent', item.id, err);
+            return;
+        }
+        await this.removeItem(item);
+    }
+
+    protected removeItem(item: ScheduledMessage) {
+        return this.keg.removeItem(item.id).catch(err => {
+            // item is marked as sent, removal will be retried later
+            console.error('Failed to remove sent scheduled message', item.id, err);
+        });
+    }
+
+    dispose() {
+        if (this.disposer) this.disposer();
+    }
+}
+
+export default ChatStoreScheduler;
@@ -0,0 +1,186 @@
+import { throttle } from 'lodash';
+import config from '../../config';
+import { ChatStore } from './chat-store';
+import CacheEngineBase from '../../db/cache-engine-base';
+import SearchIndex, { SearchFilter, SerializedSearchIndex } from '../../helpers/search-index';
+import { getUser } from '../../helpers/di-current-user';
+import * as secret from '../../crypto/secret';
+import * as cryptoUtil from '../../crypto/util';
+import { richTextToPlainText } from '../../helpers/rich-text/serialize';
+import { RichTextNode } from '../../helpers/rich-text/types';
+import Message from './message';
+
+export interface MessageSearchFilter extends SearchFilter {
+    chatId?: string;
+}
+
+export interface MessageSearchHit {
+    chatId: string;
+    /** message keg id, can be used to jump to the message */
+    kegId: string;
+    sender: string;
+    timestamp: Date;
+    text: string;
+    /** positions of matching words in text */
+    matches: Array<{ start: number; length: number }>;
+}
+
+interface SearchCacheRecord {
+    chatId: string;
+    /** encrypted and base64 encoded serialized index */
+    data: string;
+}
+
+/**
+ * Local full-text index of decrypted chat messages.
+ * Every chat has its own index, persisted to cache encrypted with user's key.
+ */
+class ChatStoreSearch {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    store: ChatStore;
+    cache: CacheEngineBase<SearchCacheRecord>;
+    protected openPromise: Promise<void>;
+    protected indexes: { [chatId: string]: SearchIndex } = {};
+    protected indexLoadPromises: { [chatId: string]: Promise<SearchIndex> } = {};
+    protected allIndexesLoaded = false;
+    protected dirtyChatIds = new Set<string>();
+
+    open(): Promise<void> {
+        if (!this.openPromise) {
+            this.cache = new config.CacheEngine('chat_search', 'chatId');
+            this.openPromise = this.cache.open();
+        }
+        return this.openPromise;
+    }
+
+    protected encrypt(data: SerializedSearchIndex): string {
+        const buf = secret.encryptString(JSON.stringify(data), getUser().kegDb.key);
+        return cryptoUtil.bytesToB64(buf);
+    }
+
+    protected decrypt(data: string): SerializedSearchIndex {
+        const buf = cryptoUtil.b64ToBytes(data);
+        return JSON.parse(secret.decryptString(buf, getUser().kegDb.key));
+    }
+
+    protected parseRecord(record: SearchCacheRecord): SearchIndex {
+        try {
+            return SearchIndex.deserialize(this.decrypt(record.data)) || new SearchIndex();
+        } catch (err) {
+            console.error('Failed to load search index from cache', record.chatId, err);
+            return new SearchIndex();
+        }
+    }
+
+    protected getIndex(chatId: string): Promise<SearchIndex> {
+        if (this.indexes[chatId]) return Promise.resolve(this.indexes[chatId]);
+        if (!this.indexLoadPromises[chatId]) {
+            this.indexLoadPromises[chatId] = this.open()
+                .then(() => this.cache.getValue(chatId))
+                .then(record => {
+                    // could have been loaded by loadAllIndexes() in the meantime
+                    if (!this.indexes[chatId]) {
+                        this.indexes[chatId] = record
+                            ? this.parseRecord(record)
+                            : new SearchIndex();
+                    }
+                    delete this.indexLoadPromises[chatId];
+                    return this.indexes[chatId];
+                });
+        }
+        return this.indexLoadPromises[chatId];
+    }
+
+    protected async loadAllIndexes() {
+        if (this.allIndexesLoaded) return;
+        await this.open();
+        const records = await this.cache.getAllValues();
+        records.forEach(r => {
+            if (!this.indexes[r.chatId]) this.indexes[r.chatId] = this.parseRecord(r);
+        });
+        this.allIndexesLoaded = true;
+    }
+
+    protected saveDirtyIndexes = throttle(() => {
+        const ids = Array.from(this.dirtyChatIds);
+        this.dirtyChatIds.clear();
+        return Promise.map(ids, chatId => {
+            const index = this.indexes[chatId];
+            if (!index) return null;
+            return this.cache.setValue(chatId, {
+                chatId,
+                data: this.encrypt(index.serialize())
+            });
+        }).catch(err => console.error('Failed to save search index', err));
+    }, 5000);
+
+    /**
+     * Adds messages to chat's index. Deleted messages are removed from the index.
+     * Self-destructing messages are never indexed, index is persistent and nothing guarantees
+     * their entries would be removed when they expire.
+     * Rich text messages are indexed by their plain text, legacy HTML would make markup searchable.
+     */
+    async indexMessages(chatId: string, messages: Message[]) {
+        const index = await this.getIndex(chatId);
+        messages.forEach(m => {
+            if (m.deleted || m.systemData || !m.text || m.expiresAt) {
+                index.remove(m.id);
+                return;
+            }
+            index.add({
+                id: m.id,
+                sender: m.sender.username,
+                timestamp: +m.timestamp,
+                text: m.richText ? richTextToPlainText(m.richText as RichTextNode) : m.text
+            });
+        });
+        this.dirtyChatIds.add(chatId);
+        this.saveDirtyIndexes();
+    }
+
+    async removeMessage(chatId: string, kegId: string) {
+        const index = await this.getIndex(chatId);
+        if (!index.has(kegId)) return;
+        index.remove(kegId);
+        this.dirtyChatIds.add(chatId);
+        this.saveDirtyIndexes();
+    }
+
+    /**
+     * Drops whole chat index, for example when user is no longer a member of the chat.
+     */
+    async removeChat(chatId: string) {
+        await this.open();
+        delete this.indexes[chatId];
+        this.dirtyChatIds.delete(chatId);
+        return this.cache.removeValue(chatId);
+    }
+
+    async search(query: string, filter: MessageSearchFilter = {}): Promise<MessageSearchHit[]> {
+        if (filter.chatId) {
+            await this.getIndex(filter.chatId);
+        } else {
+            await this.loadAllIndexes();
+        }
+        const chatIds = filter.chatId ? [filter.chatId] : Object.keys(this.indexes);
+        const hits: MessageSearchHit[] = [];
+        chatIds.forEach(chatId => {
+            this.indexes[chatId].search(query, filter).forEach(r => {
+                hits.push({
+                    chatId,
+                    kegId: r.id,
+                    sender: r.sender,
+                    timestamp: new Date(r.timestamp),
+                    text: r.text,
+                    matches: r.matches
+                });
+            });
+        });
+        return hits.sort((a, b) => +b.timestamp - +a.timestamp);
+    }
+}
+
+export default ChatStoreSearch;
@@ -1,52 +1,40 @@
-import { computed, observable } from 'mobx';
+import { computed, observable, action, reaction, IReactionDisposer } from 'mobx';
 import config from '../../config';
 import { ChatStore } from './chat-store';
-import Chat from './chat';
+import Space from './space';
+import * as cryptoUtil from '../../crypto/util';
 
-class Space {
+class ChatStoreSpaces {
     constructor(store: ChatStore) {
         this.store = store;
     }
-
-    spaceId = '';
-    spaceName = '';
-    spaceDescription = '';
     store: ChatStore;
+    protected syncReactionDisposer: IReactionDisposer = null;
 
-    @computed
-    get allRooms(): Chat[] {
-        return this.store.allRooms
-            .filter(c => c.isInSpace)
-            .filter(c => c.chatHead.spaceId === this.spaceId);
-    }
-
-    @computed
-    get internalRooms() {
-        return this.allRooms.filter(c => c.chatHead.spaceRoomType === 'internal');
-    }
-
-    @computed
-    get patientRooms() {
-        return this.allRooms.filter(c => c.chatHead.spaceRoomType === 'patient');
-    }
-
-    @observable isNew = false;
-
-    countUnread = (count, room) => count + room.unreadCount;
-    @computed
-    get unreadCount() {
-        const internalRoomsUnread = this.internalRooms.reduce(this.countUnread, 0);
-        const patientRoomsUnread = this.patientRooms.reduce(this.countUnread, 0);
-
-        return internalRoomsUnread + patientRoomsUnread;
+    /**
+     * Starts keeping `spaceMap` in sync with chat heads. Call once after chats are loaded.
+     */
+    start() {
+        if (this.syncReactionDisposer) return;
+        // chat heads are kept up to date by digest updates, so this keeps spaces in sync with the server
+        this.syncReactionDisposer = reaction(
+            () =>
+                this.roomsWithinSpaces.map(chat => [
+                    chat.chatHead.spaceId,
+                    chat.chatHead.spaceName,
+                    chat.chatHead.spaceDescription
+                ]),
+            this.syncSpaces,
+            { fireImmediately: true }
+        );
     }
-}
 
-class ChatStoreSpaces {
-    constructor(store: ChatStore) {
-        this.store = store;
-    }
-    store: ChatStore;
+    /**
+     * Space instances by space id. Instances are kept between updates, so UI can hold on to them.
+     */
+    spaceMap = observable.map<string, Space>(null, { deep: false });
+    // spaces created on this device that don't have rooms yet
+    protected pendingSpaceIds = new Set<string>();
 
     @computed
     get roomsWithinSpaces() {
@@ -61,22 +49,31 @@ class ChatStoreSpaces {
         if (config.whiteLabel.name !== 'medcryptor') {
             return [];
         }
-        const mapData = this.roomsWithinSpaces.map(
-            chat =>
-                [
-                    chat.chatHead.spaceId, // key: the space's id
-                    this.getSpaceFrom(chat) // value: the space object
-                ] as [string, Space]
-        );
-        // aggregate all spaces by id
-        const spacesMap = new Map<string, Space>(mapData);
-
-        // return all unique spaces as array
-        const spaces = [...spacesMap.values()].sort((a, b) => {
+        return Array.from(this.spaceMap.values()).sort((a, b) => {
             return a.spaceName.localeCompare(b.spaceName);
         });
+    }
 
-        return spaces;
+    @action.bound
+    protected syncSpaces() {
+        const seen = new Set<string>();
+        this.roomsWithinSpaces.forEach(chat => {
+            const { spaceId } = chat.chatHead;
+            if (seen.has(spaceId)) return;
+            seen.add(spaceId);
+            this.pendingSpaceIds.delete(spaceId);
+            let space = this.spaceMap.get(spaceId);
+            if (!space) {
+                space = new Space(this.store);
+                space.spaceId = spaceId;
+                this.spaceMap.set(spaceId, space);
+            }
+            space.spaceName = chat.chatHead.spaceName || '';
+            space.spaceDescription = chat.chatHead.spaceDescription || '';
+        });
+        Array.from(this.spaceMap.keys()).forEach(id => {
+            if (!seen.has(id) && !this.pendingSpaceIds.has(id)) this.spaceMap.delete(id);
+        });
     }
 
     getSpaceFrom = chat => {
@@ -88,6 +85,33 @@ class ChatStoreSpaces {
         return space;
     };
 
+    /**
+     * Creates a new space. Space is saved to server when the first room is created in it with `space.createRoom()`.
+     */
+    @action
+    createSpace(name: string, description = ''): Space {
+        const spaceName = (name || '').trim().substr(0, config.chat.maxChatNameLength);
+        if (!spaceName) throw new Error('Space name can not be empty.');
+        const space = new Space(this.store);
+        space.spaceId = cryptoUtil.getRandomGlobalShortIdHex();
+        space.spaceName = spaceName;
+        space.spaceDescription = description.trim().substr(0, config.chat.maxChatPurposeLength);
+        space.isNew = true;
+        this.pendingSpaceIds.add(space.spaceId);
+        this.spaceMap.set(space.spaceId, space);
+        return space;
+    }
+
+    /**
+     * Removes space from the list, for spaces that were deleted or never got rooms.
+     */
+    @action
+    forgetSpace(spaceId: string) {
+        this.pendingSpaceIds.delete(spaceId);
+        this.spaceMap.delete(spaceId);
+        if (this.activeSpaceId === spaceId) this.activeSpaceId = null;
+    }
+
     createRoomInSpace = async (space, roomName, roomType, participants) => {
         space.nameInSpace = roomName;
         space.spaceRoomType = roomType;
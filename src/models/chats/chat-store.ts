@@ -10,14 +10,21 @@ import {
     runInAction
 } from 'mobx';
 import Chat from './chat';
+import Message from './message';
 import ChatStorePending from './chat-store.pending';
 import ChatStoreSpaces from './chat-store.spaces';
 import ChatStoreCache from './chat-store.cache';
+import ChatStoreOutbox from './chat-store.outbox';
+import ChatStoreScheduler from './chat-store.scheduler';
+import ChatStoreNotifications from './chat-store.notifications';
+import ChatStoreMessageCache from './chat-store.message-cache';
+import ChatStoreSearch, { MessageSearchFilter, MessageSearchHit } from './chat-store.search';
 import socket from '../../network/socket';
 import tracker from '../update-tracker';
 import EventEmitter from 'eventemitter3';
 import * as _ from 'lodash';
 import MyChats from '../chats/my-chats';
+import ChatDrafts from './chat-drafts';
 import TinyDb from '../../db/tiny-db';
 import config from '../../config';
 import { asPromise } from '../../helpers/prombservable';
@@ -75,11 +82,18 @@ export class ChatStore {
     pending = new ChatStorePending(this);
     spaces = new ChatStoreSpaces(this);
     cache = new ChatStoreCache(this);
+    search = new ChatStoreSearch(this);
+    messageCache = new ChatStoreMessageCache(this);
+    outbox = new ChatStoreOutbox(this);
+    scheduler = new ChatStoreScheduler(this);
+    notifications = new ChatStoreNotifications(this);
 
     // todo: not sure this little event emitter experiment should live
     EVENT_TYPES = {
         messagesReceived: 'messagesReceived',
-        invitedToChannel: 'invitedToChannel'
+        invitedToChannel: 'invitedToChannel',
+        /** ChatNotification objects user should be notified about */
+        notification: 'notification'
     };
 
     events = new EventEmitter();
@@ -94,6 +108,7 @@ export class ChatStore {
      * MyChats Keg
      */
     myChats: MyChats;
+    drafts: ChatDrafts;
 
     /**
      * To prevent duplicates
@@ -126,11 +141,14 @@ export class ChatStore {
     @observable loaded = false;
 
     /**
-     * Total unread messages in all chats.
+     * Total unread messages in all chats, except archived channels.
      */
     @computed
     get unreadMessages() {
-        return this.chats.reduce((acc, curr) => acc + curr.unreadCount, 0);
+        return this.chats.reduce(
+            (acc, curr) => (curr.isArchived ? acc : acc + curr.unreadCount),
+            0
+        );
     }
 
     /**
@@ -142,12 +160,23 @@ export class ChatStore {
     }
 
     /**
-     * Subset of ChatStore#chats, contains only channel chats
+     * Subset of ChatStore#chats, contains only channel chats that are not archived
      */
     @computed
     get channels() {
         if (!this.loaded) return [];
-        return this.chats.filter(chat => chat.isChannel && chat.headLoaded);
+        return this.chats.filter(chat => chat.isChannel && chat.headLoaded && !chat.isArchived);
+    }
+
+    /**
+     * Subset of ChatStore#chats, contains archived channels sorted by name
+     */
+    @computed
+    get archivedChannels() {
+        if (!this.loaded) return [];
+        return this.chats
+            .filter(chat => chat.isChannel && chat.isArchived)
+            .sort((a, b) => a.name.localeCompare(b.name));
     }
 
     /**
@@ -234,6 +263,10 @@ export class ChatStore {
      * Chat comparison function. Takes into account favorite status of the chat, timestamp and user preferences.
      */
     static compareChats(a: Chat, b: Chat, unreadOnTop: boolean): number {
+        // archived channels are listed separately, we just keep them out of the way
+        if (a.isArchived !== b.isArchived) {
+            return a.isArchived ? 1 : -1;
+        }
         if (a.isChannel && !b.isChannel) {
             return -1;
         }
@@ -295,6 +328,8 @@ export class ChatStore {
             });
         }
         this.unloadChat(chat);
+        this.search.removeChat(chat.id).catch(err => console.error(err));
+        this.messageCache.removeChat(chat.id).catch(err => console.error(err));
     };
 
     onNewMessages = _.throttle(props => {
@@ -303,6 +338,7 @@ export class ChatStore {
 
     onInvitedToChannel = props => {
         this.events.emit(this.EVENT_TYPES.invitedToChannel, props);
+        this.notifications.processInvite(props.invite);
     };
 
     generateJitsiUrl() {
@@ -344,6 +380,7 @@ export class ChatStore {
         c.added = true;
         // console.log('Added chat ', c.id);
         if (this.myChats.hiddenChats.includes(c.id)) c.unhide();
+        if (this.drafts) c.applySyncedDraft(this.drafts.getDraft(c.id));
         c.loadMetadata()
             .then(() => c.loadMostRecentMessage())
             .then(() => this.pending.onChatAdded(c));
@@ -378,6 +415,14 @@ export class ChatStore {
         }, 2000);
     }
 
+    // applies drafts synced from other devices to loaded chats
+    @action.bound
+    applyDrafts() {
+        this.chats.forEach(chat => {
+            chat.applySyncedDraft(this.drafts.getDraft(chat.id));
+        });
+    }
+
     /**
      * Initial chats list loading, call once after login.
      *
@@ -403,6 +448,13 @@ export class ChatStore {
         this.myChats.onUpdated = this.applyMyChatsData;
         await asPromise(this.myChats, 'loaded', true);
 
+        this.drafts = new ChatDrafts();
+        this.drafts.onUpdated = this.applyDrafts;
+
+        this.scheduler.start();
+        this.notifications.start();
+        this.spaces.start();
+
         // loading favorite chats
         // ..... gonna happen in applyMyChatsData when fav list is loaded
 
@@ -444,6 +496,9 @@ export class ChatStore {
         this.loading = false;
         this.loaded = true;
 
+        // sending messages that were written offline in previous sessions
+        this.outbox.open().catch(err => console.error('Failed to open outbox', err));
+
         // TODO: remove when kegdb add/remove will make it's way to digest
         dbListProvider.onDbAdded(id => this.addChat(id));
         dbListProvider.onDbRemoved(id => {
@@ -614,6 +669,19 @@ export class ChatStore {
         return chat.shareVolume(volume);
     }
 
+    /**
+     * Forwards messages to another chat in the given order.
+     * Stops at the first message that fails to send.
+     * @param messages - messages from any chats current user participates in
+     */
+    async forwardMessages(messages: Message[], targetChat: Chat) {
+        if (!messages || !messages.length) return;
+        if (!targetChat.metaLoaded) await targetChat.loadMetadata();
+        for (const m of messages) {
+            await targetChat.forwardMessage(m);
+        }
+    }
+
     /**
      * Removes chat from working set.
      */
@@ -633,6 +701,16 @@ export class ChatStore {
         this.chats.remove(chat);
     }
 
+    /**
+     * Searches messages in local index. Only messages that were loaded on this device are indexed.
+     * @param query - words to search for, last word can be incomplete
+     * @param filter - optional chatId, sender username, before/after dates
+     * @returns hits sorted from newest to oldest
+     */
+    searchMessages(query: string, filter?: MessageSearchFilter): Promise<MessageSearchHit[]> {
+        return this.search.search(query, filter);
+    }
+
     /**
      * Returns a promise that resolves with chat instance once that chat is added to chat store and loaded.
      * @param id - chat id
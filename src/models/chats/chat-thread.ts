@@ -0,0 +1,123 @@
+import { observable, action, IObservableArray } from 'mobx';
+import socket from '../../network/socket';
+import config from '../../config';
+import { retryUntilSuccess } from '../../helpers/retry';
+import Message from './message';
+import Chat from './chat';
+
+/**
+ * Observable view of replies to one message.
+ * Get instances with `chat.getThread(parent)`, thread is kept up to date with new replies while chat is loaded.
+ */
+export default class ChatThread {
+    constructor(chat: Chat, parent: Message) {
+        this.chat = chat;
+        this.parent = parent;
+        this.parentId = parent.id;
+    }
+
+    chat: Chat;
+    parentId: string;
+
+    /**
+     * Message this thread replies to. Can be replaced with updated instance when parent gets edited.
+     */
+    @observable.ref parent: Message;
+
+    /**
+     * Loaded replies, sorted from oldest to newest.
+     */
+    @observable.shallow messages = [] as IObservableArray<Message>;
+
+    @observable loading = false;
+
+    /**
+     * True after first page of replies has been loaded.
+     */
+    @observable loaded = false;
+
+    /**
+     * Can we load older replies?
+     */
+    @observable canGoUp = false;
+
+    // performance helper, to lookup messages by id and avoid duplicates
+    _messageMap: { [kegId: string]: Message } = {};
+
+    /**
+     * Loads most recent page of replies. Does nothing if already loaded.
+     */
+    loadInitialPage(): Promise<void> {
+        if (this.loaded || this.loading) return Promise.resolve();
+        return this._loadPage();
+    }
+
+    /**
+     * Loads older replies.
+     */
+    loadPreviousPage(): Promise<void> {
+        if (!this.canGoUp || this.loading) return Promise.resolve();
+        return this._loadPage(this.messages.length ? this.messages[0].id : null);
+    }
+
+    protected _loadPage(fromKegId?: string): Promise<void> {
+        this.loading = true;
+        const options: { [key: string]: any } = {
+            type: 'message',
+            reverse: true,
+            count: config.chat.pageSize
+        };
+        if (fromKegId) options.fromKegId = fromKegId;
+        return retryUntilSuccess(
+            () =>
+                socket.send(
+                    '/auth/kegs/db/list-ext',
+                    {
+                        kegDbId: this.chat.id,
+                        options,
+                        filter: { replyTo: this.parentId }
+                    },
+                    false
+                ),
+            { maxRetries: 5 }
+        )
+            .then(async (resp: any) => {
+                const parsed: Message[] = [];
+                for (const keg of resp.kegs) {
+                    const msg = new Message(this.chat.db);
+                    if (!(await msg.loadFromKeg(keg)) || msg.isEmpty) continue;
+                    // protection from server returning unrelated messages
+                    if (!msg.replyTo || msg.replyTo.kegId !== this.parentId) continue;
+                    msg.parseExternalContent();
+                    parsed.push(msg);
+                }
+                this.canGoUp = resp.hasMore;
+                this.chat.registerReplies(parsed);
+            })
+            .finally(() => {
+                this.loading = false;
+                this.loaded = true;
+            });
+    }
+
+    /**
+     * Adds or replaces replies. Called by chat for every reply it loads.
+     */
+    @action
+    addMessages(messages: Message[]) {
+        for (const msg of messages) {
+            if (msg.deleted) {
+                const deleted = this._messageMap[msg.id];
+                if (deleted) this.messages.remove(deleted);
+                delete this._messageMap[msg.id];
+                continue;
+            }
+            const existing = this._messageMap[msg.id];
+            if (existing === msg) continue;
+            if (existing) this.messages.remove(existing);
+            this._messageMap[msg.id] = msg;
+            this.messages.push(msg);
+        }
+        this.messages.replace(this.messages.slice().sort((a, b) => +a.id - +b.id));
+    }
+}
@@ -107,6 +107,7 @@ class ChatFileHandler {
      * @param message - message to attach to file
      */
     uploadAndShare(path: string, name?: string, deleteAfterUpload = false, message?: string): File {
+        if (this.chat.isReadOnly) throw new Error('Can not share files to read-only chat.');
         const file = fileStore.upload(path, name);
         file.uploadQueue = this.chat.uploadQueue; // todo: change, this is dirty
         this.chat.uploadQueue.push(file);
@@ -136,9 +137,18 @@ class ChatFileHandler {
      */
     async share(files: File[], message = '') {
         if (!files || !files.length) return Promise.reject();
+        const ids = await this.copyToChat(files);
+        return this.chat._sendTextMessage(message, ids);
+    }
+
+    /**
+     * Copies files to chat without sending a message.
+     * @returns file ids to attach to a message
+     */
+    async copyToChat(files: File[]): Promise<string[]> {
+        if (this.chat.isReadOnly) throw new Error('Can not share files to read-only chat.');
         await Promise.map(files, f => f.share(this.chat));
-        const ids = files.map(f => f.fileId);
-        return this.chat.sendMessage(message, ids);
+        return files.map(f => f.fileId);
     }
 
     /**
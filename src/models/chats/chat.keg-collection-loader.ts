@@ -0,0 +1,206 @@
+import { action, reaction, when } from 'mobx';
+import tracker from '../update-tracker';
+import socket from '../../network/socket';
+import TaskQueue from '../../helpers/task-queue';
+import { retryUntilSuccess } from '../../helpers/retry';
+import Keg from '../kegs/keg';
+import User from '../user/user';
+import Chat from './chat';
+import Message from './message';
+
+interface ChatKegCollectionLoaderOptions<TKeg extends Keg<any, any>> {
+    chat: Chat;
+    /** keg type of the collection */
+    type: string;
+    /**
+     * Creates named keg of the user for the message.
+     * Called with nulls to create an empty keg to load server data into.
+     */
+    createKeg: (messageId: string | null, username: string | null) => TKeg;
+    /** id of the message keg data is for */
+    getMessageId: (keg: TKeg) => string;
+    /** true if keg data doesn't match keg name, such kegs are ignored */
+    isInvalid: (keg: TKeg) => boolean;
+    /** recomputes message data from `getKegs(message.id)` */
+    applyToMessage: (message: Message) => void;
+}
+
+/**
+ * Keeps collection of small per-user kegs of a chat messages (reactions, poll votes) in sync:
+ * follows collection digest and loads new and updated kegs while chat is active,
+ * caches the most recent keg of every user for every message and saves current user's kegs.
+ */
+export default class ChatKegCollectionLoader<TKeg extends Keg<any, any>> {
+    constructor(options: ChatKegCollectionLoaderOptions<TKeg>) {
+        this.options = options;
+        const { chat, type } = options;
+        tracker.subscribeToKegUpdates(chat.id, type, this.onDigestUpdate);
+        this.onDigestUpdate();
+        this._reactionsToDispose.push(
+            reaction(
+                () => tracker.updated,
+                updated => {
+                    if (updated) this.onDigestUpdate();
+                }
+            ),
+            reaction(
+                () => chat.active,
+                active => {
+                    if (active) this.onDigestUpdate();
+                }
+            )
+        );
+    }
+
+    options: ChatKegCollectionLoaderOptions<TKeg>;
+    downloadedCollectionVersion = '';
+    _reactionsToDispose = [];
+    loadQueue = new TaskQueue(1, 1000);
+    saveQueue = new TaskQueue(1, 0);
+    /**
+     * Kegs cache {messageId: {username: keg}}
+     */
+    kegs: { [messageId: string]: { [username: string]: TKeg } } = {};
+    /**
+     * Own kegs cache {messageId: keg}
+     */
+    _ownKegs: { [messageId: string]: TKeg } = {};
+
+    /**
+     * @returns cached kegs of the message by username, some of them might still fail signature check
+     */
+    getKegs(messageId: string): { [username: string]: TKeg } {
+        return this.kegs[messageId] || {};
+    }
+
+    /**
+     * Changes and saves current user's keg for the message,
+     * reloads and reapplies change in case of concurrent modification.
+     * @param changeFn - returns false if there's nothing to change
+     */
+    updateOwnKeg(message: Message, changeFn: (keg: TKeg) => boolean): Promise<void> {
+        return this.saveQueue.addTask(() =>
+            retryUntilSuccess(
+                async () => {
+                    const keg = await this.loadOwnKeg(message.id);
+                    if (!changeFn(keg)) return;
+                    try {
+                        await keg.saveToServer();
+                    } catch (err) {
+                        await keg.load();
+                        throw err;
+                    }
+                    this._cacheKeg(keg, User.current.username);
+                    this.options.applyToMessage(message);
+                },
+                { maxRetries: 3 }
+            )
+        );
+    }
+
+    // loads own keg, we need this bcs named keg will not get created until saved first time
+    loadOwnKeg = async (messageId: string) => {
+        let keg = this._ownKegs[messageId];
+        if (keg) return keg;
+        keg = this.options.createKeg(messageId, User.current.username);
+        await keg.load();
+        this._ownKegs[messageId] = keg;
+        return keg;
+    };
+
+    _cacheKeg(keg: TKeg, username: string) {
+        const messageId = this.options.getMessageId(keg);
+        const byUser = this.kegs[messageId] || (this.kegs[messageId] = {});
+        const existing = byUser[username];
+        if (existing && existing.version > keg.version) return;
+        byUser[username] = keg;
+        if (username !== User.current.username) return;
+        const own = this._ownKegs[messageId];
+        if (!own || own.version < keg.version) this._ownKegs[messageId] = keg;
+    }
+
+    @action
+    onKegsLoaded(kegs: TKeg[]) {
+        kegs.forEach(keg => {
+            if (this.options.isInvalid(keg) || keg.signatureError) return;
+            this._cacheKeg(keg, keg.owner);
+        });
+        const { messages } = this.options.chat;
+        for (let i = 0; i < messages.length; i++) {
+            this.options.applyToMessage(messages[i]);
+        }
+    }
+
+    // data was applied before signature check finished, forged kegs have to be removed
+    onKegVerified(keg: TKeg) {
+        if (!keg.signatureError) return;
+        const messageId = this.options.getMessageId(keg);
+        const byUser = this.kegs[messageId];
+        if (!byUser || byUser[keg.owner] !== keg) return;
+        delete byUser[keg.owner];
+        const message = this.options.chat._messageMap[messageId];
+        if (message) this.options.applyToMessage(message);
+    }
+
+    onDigestUpdate = () => {
+        const { chat, type } = this.options;
+        const digest = tracker.getDigest(chat.id, type);
+        if (digest.maxUpdateId < this.downloadedCollectionVersion) {
+            tracker.seenThis(chat.id, type, this.downloadedCollectionVersion);
+        }
+        if (!chat.active) return;
+        this.loadQueue.addTask(this.loadKegs);
+    };
+
+    loadKegs = () => {
+        const { chat, type } = this.options;
+        let digest = tracker.getDigest(chat.id, type);
+        if (digest.maxUpdateId && digest.maxUpdateId <= this.downloadedCollectionVersion)
+            return null;
+        const filter = this.downloadedCollectionVersion
+            ? { minCollectionVersion: this.downloadedCollectionVersion }
+            : {};
+        return socket
+            .send(
+                '/auth/kegs/db/list-ext',
+                {
+                    kegDbId: chat.id,
+                    options: { type, reverse: false },
+                    filter
+                },
+                false
+            )
+            .then(async res => {
+                const { kegs } = res;
+                if (!kegs || !kegs.length) return;
+                const loaded: TKeg[] = [];
+                for (let i = 0; i < kegs.length; i++) {
+                    if (kegs[i].collectionVersion > this.downloadedCollectionVersion) {
+                        this.downloadedCollectionVersion = kegs[i].collectionVersion;
+                    }
+                    try {
+                        const keg = this.options.createKeg(null, null);
+                        if (!(await keg.loadFromKeg(kegs[i]))) continue;
+                        loaded.push(keg);
+                        if (keg.signatureError === null) {
+                            when(() => keg.signatureError !== null, () => this.onKegVerified(keg));
+                        }
+                    } catch (err) {
+                        // one broken keg should not prevent loading the rest
+                        console.error(err);
+                    }
+                }
+                digest = tracker.getDigest(chat.id, type);
+                if (digest.knownUpdateId < digest.maxUpdateId || !digest.maxUpdateId) {
+                    tracker.seenThis(chat.id, type, this.downloadedCollectionVersion);
+                }
+                this.onKegsLoaded(loaded);
+                if (res.hasMore) this.onDigestUpdate();
+            });
+    };
+
+    dispose() {
+        this._reactionsToDispose.forEach(d => d());
+        tracker.unsubscribe(this.onDigestUpdate);
+    }
+}
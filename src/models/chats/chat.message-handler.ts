@@ -80,6 +80,8 @@ class ChatMessageHandler {
     _loadingUpdates = false; // todo: make this observable in Chat
     _reactionsToDispose = [];
     _markAsSeenTimer: any;
+    // set when cached page turned out to be too outdated to be updated with diffs
+    skipMessageCache = false;
     _removeMarkerTimer: any;
 
     cancelTimers() {
@@ -160,6 +162,7 @@ class ChatMessageHandler {
                     // there's way more updates then we are allowed to load
                     // so we jump to most recent messages
                     if (resp.hasMore) {
+                        this.skipMessageCache = true;
                         this.chat.reset();
                         return;
                     }
@@ -173,7 +176,7 @@ class ChatMessageHandler {
             )
             .catch(err => {
                 if (err && err.code === serverErrorCodes.accessForbidden) {
-                    getChatStore().unloadChat(this.chat);
+                    this.onAccessForbidden();
                 } else {
                     this.onMessageDigestUpdate();
                 }
@@ -239,11 +242,58 @@ class ChatMessageHandler {
         */
     }
 
+    onAccessForbidden() {
+        const store = getChatStore();
+        store.unloadChat(this.chat);
+        store.messageCache.removeChat(this.chat.id).catch(err => console.error(err));
+    }
+
+    /**
+     * Renders cached page if there is one, otherwise loads most recent page from server.
+     * Updates made after the page was cached are loaded by loadUpdates() just like any other updates.
+     */
     getInitialPage() {
         if (this.chat.initialPageLoaded || this.chat.loadingInitialPage) {
             return Promise.resolve();
         }
         this.chat.loadingInitialPage = true;
+        return this.loadCachedPage().then(loaded => {
+            if (!loaded) return this.loadInitialPageFromServer();
+            return null;
+        });
+    }
+
+    protected async loadCachedPage(): Promise<boolean> {
+        if (this.skipMessageCache) return false;
+        let page;
+        try {
+            page = await getChatStore().messageCache.loadPage(this.chat);
+        } catch (err) {
+            console.error('Failed to load cached messages', this.chat.id, err);
+            return false;
+        }
+        if (!page || !page.messages.length) return false;
+        this.chat.canGoUp = page.canGoUp;
+        this.chat._cancelTopPageLoad = false;
+        this.chat._cancelBottomPageLoad = false;
+        // updates loaded meanwhile might be newer than the cached page
+        if (page.downloadedUpdateId > this.downloadedUpdateId) {
+            this.downloadedUpdateId = page.downloadedUpdateId;
+        }
+        await this.chat.addCachedMessages(page.messages);
+        this.setInitialPageLoaded();
+        // cached page is likely outdated, new messages, edits and deletions have to be loaded
+        this.onMessageDigestUpdate();
+        return true;
+    }
+
+    @action
+    protected setInitialPageLoaded() {
+        this.chat.loadingInitialPage = false;
+        this.chat.initialPageLoaded = true;
+    }
+
+    protected loadInitialPageFromServer() {
         console.log('loading initial page for this.chat', this.chat.id);
         return retryUntilSuccess(
             () =>
@@ -279,7 +329,7 @@ class ChatMessageHandler {
             )
             .catch(err => {
                 if (err && err.code === serverErrorCodes.accessForbidden) {
-                    getChatStore().unloadChat(this.chat);
+                    this.onAccessForbidden();
                 } else {
                     throw err;
                 }
@@ -309,30 +359,13 @@ class ChatMessageHandler {
             }
         }
         // todo: cancel retries if navigated away from chat?
-        retryUntilSuccess(
-            () =>
-                socket.send(
-                    '/auth/kegs/db/list-ext',
-                    {
-                        kegDbId: this.chat.id,
-                        options: {
-                            type: 'message',
-                            reverse: pagingUp,
-                            fromKegId:
-                                startingKegId ||
-                                this.chat.messages[pagingUp ? 0 : this.chat.messages.length - 1].id,
-                            count: config.chat.pageSize
-                        }
-                    },
-                    false
-                ),
-            {
-                maxRetries: 5
-            }
+        this.fetchPage(
+            pagingUp,
+            startingKegId || this.chat.messages[pagingUp ? 0 : this.chat.messages.length - 1].id
         )
             .catch(err => {
                 if (err && err.code === serverErrorCodes.accessForbidden) {
-                    getChatStore().unloadChat(this.chat);
+                    this.onAccessForbidden();
                 } else {
                     throw err;
                 }
@@ -375,6 +408,103 @@ class ChatMessageHandler {
             });
     }
 
+    /**
+     * Replaces loaded messages with a page centered on the message.
+     * @returns false if there's no such message
+     */
+    async loadPageAround(kegId: string): Promise<boolean> {
+        const half = Math.ceil(config.chat.initialPageSize / 2);
+        // target message is included in the older half regardless of fromKegId being inclusive
+        const [older, newer] = await Promise.all([
+            this.fetchPage(true, (+kegId + 1).toString(), half + 1),
+            this.fetchPage(false, kegId, half)
+        ]);
+        const kegs = [];
+        const seen: { [kegId: string]: boolean } = {};
+        older.kegs.concat(newer.kegs).forEach(keg => {
+            if (seen[keg.kegId]) return;
+            seen[keg.kegId] = true;
+            kegs.push(keg);
+        });
+        if (!kegs.some(k => k.kegId === kegId && !k.deleted)) return false;
+        this.replaceWindow(older.hasMore, newer.hasMore, newer.kegs);
+        await this.chat.addMessages(kegs);
+        return true;
+    }
+
+    /**
+     * Looks up id of the first message sent at or after the date, using keg creation time.
+     * Does binary search on keg ids, loading one keg per step.
+     * @returns null if there are no messages, id of the newest message if all messages are older than date
+     */
+    async findKegIdByDate(date: Date): Promise<string> {
+        const time = +date;
+        const newest = (await this.fetchPage(true, null, 1)).kegs[0];
+        if (!newest) return null;
+        if (newest.createdAt < time) return newest.kegId;
+        let answer = newest.kegId;
+        // all kegs with id <= lo are older than date, there are no kegs between top and answer
+        let lo = 0;
+        let top = +answer - 1;
+        while (lo < top) {
+            const mid = Math.ceil((lo + top) / 2);
+            // count 2, so we get keg with id >= mid whether fromKegId is inclusive or not
+            const resp = await this.fetchPage(false, (mid - 1).toString(), 2);
+            const keg = resp.kegs.find(k => +k.kegId >= mid);
+            if (!keg || +keg.kegId > top) {
+                top = mid - 1;
+            } else if (keg.createdAt >= time) {
+                answer = keg.kegId;
+                top = +keg.kegId - 1;
+            } else {
+                lo = +keg.kegId;
+            }
+        }
+        return answer;
+    }
+
+    @action
+    protected replaceWindow(canGoUp: boolean, canGoDown: boolean, newerKegs: any[]) {
+        if (this.chat.loadingTopPage) this.chat._cancelTopPageLoad = true;
+        if (this.chat.loadingBottomPage) this.chat._cancelBottomPageLoad = true;
+        this.chat._messageMap = {};
+        this.chat.messages.clear();
+        this.chat.canGoUp = canGoUp;
+        this.chat.canGoDown = canGoDown;
+        this.setDownloadedUpdateId(newerKegs);
+        this.chat.loadingInitialPage = false;
+        this.chat.initialPageLoaded = true;
+    }
+
+    /**
+     * Fetches a page of message kegs without adding them to the chat.
+     * @param pagingUp - true to get messages older than fromKegId, newest first
+     * @param fromKegId - if not set, paging starts from the newest (pagingUp) or the oldest message
+     */
+    // TODO: response types
+    fetchPage(pagingUp: boolean, fromKegId?: string, count = config.chat.pageSize): Promise<any> {
+        const options: any = { type: 'message', reverse: pagingUp, count };
+        if (fromKegId) {
+            options.fromKegId = fromKegId;
+        } else {
+            options.offset = 0;
+        }
+        return retryUntilSuccess(
+            () =>
+                socket.send(
+                    '/auth/kegs/db/list-ext',
+                    {
+                        kegDbId: this.chat.id,
+                        options
+                    },
+                    false
+                ),
+            {
+                maxRetries: 5
+            }
+        );
+    }
+
     dispose() {
         this._reactionsToDispose.forEach(d => d());
         tracker.unsubscribe(this.onMessageDigestUpdate);
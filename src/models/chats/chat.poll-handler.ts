@@ -0,0 +1,92 @@
+import { action } from 'mobx';
+import User from '../user/user';
+import PollVote from './poll-vote';
+import Message from './message';
+import Chat from './chat';
+import ChatKegCollectionLoader from './chat.keg-collection-loader';
+
+/**
+ * Poll votes module for Chat. Extracted for readability.
+ */
+class ChatPollHandler {
+    constructor(chat: Chat) {
+        this.chat = chat;
+        this.loader = new ChatKegCollectionLoader({
+            chat,
+            type: 'poll_vote',
+            createKeg: (pollId, username) => new PollVote(pollId, username, chat.db),
+            getMessageId: keg => keg.pollId,
+            isInvalid: keg => keg.voteError,
+            applyToMessage: this.applyResults
+        });
+    }
+
+    chat: Chat;
+    loader: ChatKegCollectionLoader<PollVote>;
+
+    /**
+     * Replaces current user's vote in a poll.
+     * @param choices - indexes of chosen options, empty array to retract the vote
+     */
+    vote(poll: Message, choices: number[]): Promise<void> {
+        if (!poll.isPoll || !poll.id) return Promise.reject(new Error('Message is not a poll.'));
+        if (poll.isPollClosed) return Promise.reject(new Error('Poll is closed.'));
+        const validChoices = this._validateChoices(poll, choices);
+        if (validChoices.length !== choices.length) {
+            return Promise.reject(new Error('Invalid poll choices.'));
+        }
+        return this.loader.updateOwnKeg(poll, keg => {
+            keg.choices.replace(validChoices);
+            return true;
+        });
+    }
+
+    // removes duplicates and out of range indexes, keeps one choice for single choice polls
+    _validateChoices(poll: Message, choices: number[]) {
+        const { options, multiChoice } = poll.systemData;
+        const ret = Array.from(new Set(choices || [])).filter(
+            c => Number.isInteger(c) && c >= 0 && c < options.length
+        );
+        if (!multiChoice) ret.splice(1);
+        return ret;
+    }
+
+    /**
+     * Aggregates cached votes into `poll.pollResults`.
+     * Votes changed after poll was closed are ignored.
+     */
+    @action.bound
+    applyResults(poll: Message) {
+        if (!poll.isPoll) return;
+        const { options, hideVoters, closesAt } = poll.systemData;
+        const closedAt = Math.min(
+            poll.pollClosedAt ? poll.pollClosedAt.valueOf() : Infinity,
+            closesAt || Infinity
+        );
+        const counts = options.map(() => 0);
+        const voters = options.map(() => []);
+        let totalVoters = 0;
+        let myChoices = [];
+        const byUser = this.loader.getKegs(poll.id);
+        Object.keys(byUser).forEach(username => {
+            const keg = byUser[username];
+            if (keg.signatureError) return;
+            if (keg.kegUpdatedAt && +keg.kegUpdatedAt > closedAt) return;
+            const choices = this._validateChoices(poll, keg.choices);
+            if (!choices.length) return;
+            totalVoters++;
+            choices.forEach(c => {
+                counts[c]++;
+                if (!hideVoters) voters[c].push(username);
+            });
+            if (username === User.current.username) myChoices = choices;
+        });
+        poll.pollResults = { counts, voters, totalVoters, myChoices };
+    }
+
+    dispose() {
+        this.loader.dispose();
+    }
+}
+
+export default ChatPollHandler;
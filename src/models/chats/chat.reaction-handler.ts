@@ -0,0 +1,78 @@
+import { action } from 'mobx';
+import User from '../user/user';
+import MessageReactions from './message-reactions';
+import Message from './message';
+import Chat from './chat';
+import ChatKegCollectionLoader from './chat.keg-collection-loader';
+
+/**
+ * Emoji reactions module for Chat. Extracted for readability.
+ */
+class ChatReactionHandler {
+    constructor(chat: Chat) {
+        this.chat = chat;
+        this.loader = new ChatKegCollectionLoader({
+            chat,
+            type: 'reaction',
+            createKeg: (messageId, username) => new MessageReactions(messageId, username, chat.db),
+            getMessageId: keg => keg.messageId,
+            isInvalid: keg => keg.reactionsError,
+            applyToMessage: this.applyReactions
+        });
+    }
+
+    chat: Chat;
+    loader: ChatKegCollectionLoader<MessageReactions>;
+
+    /**
+     * Adds current user's emoji reaction to a message.
+     */
+    addReaction(message: Message, emoji: string): Promise<void> {
+        if (!message.id) return this._rejectUnsent();
+        User.current.emojiMRU.addItem(emoji);
+        return this.loader.updateOwnKeg(message, keg => {
+            if (keg.emojis.includes(emoji)) return false;
+            keg.emojis.push(emoji);
+            return true;
+        });
+    }
+
+    /**
+     * Removes current user's emoji reaction from a message.
+     */
+    removeReaction(message: Message, emoji: string): Promise<void> {
+        if (!message.id) return this._rejectUnsent();
+        return this.loader.updateOwnKeg(message, keg => keg.emojis.remove(emoji));
+    }
+
+    _rejectUnsent() {
+        return Promise.reject(new Error('Can not react to a message that was not sent yet.'));
+    }
+
+    /**
+     * Fills `message.reactions` map from cached reaction kegs.
+     */
+    @action.bound
+    applyReactions(message: Message) {
+        const byUser = this.loader.getKegs(message.id);
+        const emojiMap: { [emoji: string]: string[] } = {};
+        Object.keys(byUser).forEach(username => {
+            const keg = byUser[username];
+            if (keg.signatureError) return;
+            keg.emojis.forEach(emoji => {
+                (emojiMap[emoji] = emojiMap[emoji] || []).push(username);
+            });
+        });
+        if (!Object.keys(emojiMap).length) {
+            if (message.reactions.size) message.reactions.clear();
+            return;
+        }
+        message.reactions.replace(emojiMap);
+    }
+
+    dispose() {
+        this.loader.dispose();
+    }
+}
+
+export default ChatReactionHandler;
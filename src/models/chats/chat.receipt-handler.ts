@@ -6,6 +6,7 @@ import ReadReceipt from './read-receipt';
 import { retryUntilSuccess } from '../../helpers/retry';
 import TaskQueue from '../../helpers/task-queue';
 import Chat from './chat';
+import Message, { MessageSeenBy } from './message';
 
 class ChatReceiptHandler {
     constructor(chat: Chat) {
@@ -182,6 +183,42 @@ class ChatReceiptHandler {
         }
     }
 
+    // receipts of users other than message sender that point to this message or a later one
+    protected getValidReceiptsFor(msg: Message): ReadReceipt[] {
+        const ret: ReadReceipt[] = [];
+        if (!msg.id) return ret;
+        const position = +msg.id;
+        const sender = msg.sender && msg.sender.username;
+        this.chat.receipts.forEach((receipt, username) => {
+            if (username === sender) return;
+            if (receipt.receiptError || receipt.signatureError) return;
+            if (!(receipt.chatPosition >= position)) return;
+            ret.push(receipt);
+        });
+        return ret;
+    }
+
+    /**
+     * Users who have seen the message, earliest first.
+     * Receipts store only the latest read position, so `seenAt` is the time user's position last moved,
+     * which is when user has seen this message or a later one.
+     */
+    getSeenBy(msg: Message): MessageSeenBy[] {
+        return this.getValidReceiptsFor(msg)
+            .map(r => ({
+                username: r.owner,
+                seenAt: r.kegUpdatedAt ? new Date(r.kegUpdatedAt) : null
+            }))
+            .sort((a, b) => (a.seenAt ? +a.seenAt : 0) - (b.seenAt ? +b.seenAt : 0));
+    }
+
+    /**
+     * Number of users who have seen the message.
+     */
+    getSeenByCount(msg: Message): number {
+        return this.getValidReceiptsFor(msg).length;
+    }
+
     dispose() {
         this._reactionsToDispose.forEach(d => d());
         tracker.unsubscribe(this.onDigestUpdate);
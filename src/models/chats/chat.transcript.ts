@@ -0,0 +1,266 @@
+import moment from 'moment';
+import config from '../../config';
+import Message from './message';
+import Chat from './chat';
+import File from '../files/file';
+import systemMessages from '../../helpers/system-messages';
+import { getFileStore } from '../../helpers/di-file-store';
+import { asPromise } from '../../helpers/prombservable';
+import * as cryptoUtil from '../../crypto/util';
+import { richTextToMarkdown, escapeHTML } from '../../helpers/rich-text/serialize';
+import { RichTextNode } from '../../helpers/rich-text/types';
+
+export type TranscriptFormat = 'json' | 'html' | 'text';
+
+export interface TranscriptOptions {
+    format?: TranscriptFormat;
+    /** export only messages sent at or after this time */
+    from?: Date;
+    /** export only messages sent before this time */
+    to?: Date;
+    /** download shared files to a folder next to the transcript */
+    includeFiles?: boolean;
+}
+
+export interface TranscriptResult {
+    messageCount: number;
+    fileCount: number;
+    /** ids of files that failed to download */
+    failedFileIds: string[];
+}
+
+interface TranscriptFile {
+    fileId: string;
+    name: string;
+    /** path relative to transcript, if file was downloaded */
+    path?: string;
+    /** file was deleted or its info failed to load */
+    unavailable?: boolean;
+}
+
+interface TranscriptEntry {
+    id: string;
+    timestamp: Date;
+    sender: string;
+    senderName: string;
+    text: string;
+    richText?: unknown;
+    isSystem: boolean;
+    editedAt?: Date;
+    replyTo?: string;
+    files: TranscriptFile[];
+}
+
+/**
+ * Exports chat history to a file. Pages through the whole history on server, independently of what's
+ * currently loaded in the chat.
+ */
+export default class ChatTranscript {
+    constructor(chat: Chat, path: string, options: TranscriptOptions = {}) {
+        this.chat = chat;
+        this.path = path;
+        this.format = options.format || 'text';
+        this.from = options.from ? +options.from : -Infinity;
+        this.to = options.to ? +options.to : Infinity;
+        this.includeFiles = !!options.includeFiles;
+        this.filesDirName = `${path.split(/[\\/]/).pop()}_files`;
+    }
+
+    chat: Chat;
+    path: string;
+    format: TranscriptFormat;
+    from: number;
+    to: number;
+    includeFiles: boolean;
+    filesDirName: string;
+    entries: TranscriptEntry[] = [];
+    failedFileIds: string[] = [];
+    protected filesDirCreated = false;
+
+    async export(): Promise<TranscriptResult> {
+        if (!['json', 'html', 'text'].includes(this.format)) {
+            throw new Error(`Unsupported transcript format: ${this.format}`);
+        }
+        const messages = await this.loadMessages();
+        let fileCount = 0;
+        for (const msg of messages) {
+            const entry = this.toEntry(msg);
+            for (const f of entry.files) {
+                if (await this.processFile(f)) fileCount++;
+            }
+            this.entries.push(entry);
+        }
+        await this.write(this.render());
+        return {
+            messageCount: this.entries.length,
+            fileCount,
+            failedFileIds: this.failedFileIds
+        };
+    }
+
+    // pages from the oldest message to the newest
+    protected async loadMessages(): Promise<Message[]> {
+        const handler = this.chat._messageHandler;
+        const ret: Message[] = [];
+        const seen: { [id: string]: boolean } = {};
+        let fromKegId: string;
+        let hasMore = true;
+        while (hasMore) {
+            const resp = await handler.fetchPage(false, fromKegId);
+            hasMore = resp.hasMore && resp.kegs.length > 0;
+            for (const keg of resp.kegs) {
+                if (seen[keg.kegId]) continue;
+                seen[keg.kegId] = true;
+                if (!fromKegId || +keg.kegId > +fromKegId) fromKegId = keg.kegId;
+                const msg = new Message(this.chat.db);
+                if (!(await msg.loadFromKeg(keg)) || msg.isEmpty || msg.deleted || msg.isExpired) {
+                    continue;
+                }
+                const time = +msg.timestamp;
+                if (time >= this.to) {
+                    hasMore = false;
+                    break;
+                }
+                if (time >= this.from) ret.push(msg);
+            }
+        }
+        return ret.sort((m1, m2) => +m1.id - +m2.id);
+    }
+
+    protected toEntry(msg: Message): TranscriptEntry {
+        const isSystem = !!msg.systemData;
+        return {
+            id: msg.id,
+            timestamp: msg.timestamp,
+            sender: msg.sender.username,
+            senderName: msg.sender.fullName,
+            text: isSystem
+                ? `${systemMessages.getSystemMessageText(msg)}`
+                : this.getMessageText(msg),
+            richText: isSystem ? undefined : msg.richText,
+            isSystem,
+            editedAt: msg.editedAt || undefined,
+            replyTo: msg.replyTo ? msg.replyTo.kegId : undefined,
+            files: (msg.files || []).map(fileId => ({ fileId, name: fileId }))
+        };
+    }
+
+    // rich text is exported as markdown, legacy text of rich messages is html we don't want in a transcript
+    protected getMessageText(msg: Message) {
+        if (!msg.richText) return msg.text || '';
+        return richTextToMarkdown(msg.richText as RichTextNode);
+    }
+
+    // resolves file name and downloads file if needed
+    // returns true if file was downloaded
+    protected async processFile(entry: TranscriptFile): Promise<boolean> {
+        let file: File;
+        try {
+            file = getFileStore().getByIdInChat(entry.fileId, this.chat.id);
+            // one file stuck loading should not hang the whole export
+            await asPromise(file, 'loaded', true).timeout(config.chat.transcriptFileLoadTimeout);
+        } catch (err) {
+            console.error('Failed to load file for transcript', entry.fileId, err);
+            file = null;
+        }
+        if (!file || file.deleted) {
+            entry.unavailable = true;
+            if (this.includeFiles) this.failedFileIds.push(entry.fileId);
+            return false;
+        }
+        entry.name = file.name;
+        if (!this.includeFiles) return false;
+        try {
+            if (!this.filesDirCreated) {
+                await config.FileStream.createDir(`${this.path}_files`);
+                this.filesDirCreated = true;
+            }
+            const name = file.ext ? `${file.fsSafeUid}.${file.ext}` : file.fsSafeUid;
+            await file.download(`${this.path}_files/${name}`, false, false, true);
+            entry.path = `${this.filesDirName}/${name}`;
+            return true;
+        } catch (err) {
+            console.error('Failed to download file for transcript', entry.fileId, err);
+            this.failedFileIds.push(entry.fileId);
+            return false;
+        }
+    }
+
+    protected render(): string {
+        switch (this.format) {
+            case 'json':
+                return this.renderJSON();
+            case 'html':
+                return this.renderHTML();
+            default:
+                return this.renderText();
+        }
+    }
+
+    protected renderJSON() {
+        return JSON.stringify(
+            {
+                chatId: this.chat.id,
+                name: this.chat.name,
+                exportedAt: new Date(),
+                messages: this.entries
+            },
+            null,
+            2
+        );
+    }
+
+    protected renderText() {
+        const lines = [this.chat.name, ''];
+        this.entries.forEach(e => {
+            const time = moment(e.timestamp).format('YYYY-MM-DD HH:mm:ss');
+            if (e.isSystem) {
+                lines.push(`[${time}] * ${e.senderName} (${e.sender}) ${e.text}`);
+            } else {
+                const edited = e.editedAt ? ' (edited)' : '';
+                lines.push(`[${time}] ${e.senderName} (${e.sender})${edited}: ${e.text}`);
+            }
+            e.files.forEach(f => {
+                let location = f.path ? ` (${f.path})` : '';
+                if (f.unavailable) location = ' (unavailable)';
+                lines.push(`    [file] ${f.name}${location}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    protected renderHTML() {
+        const rows = this.entries.map(e => {
+            const time = escapeHTML(moment(e.timestamp).format('YYYY-MM-DD HH:mm:ss'));
+            const sender = `${escapeHTML(e.senderName)} (${escapeHTML(e.sender)})`;
+            const files = e.files
+                .map(f => {
+                    const name = escapeHTML(f.name);
+                    if (f.unavailable)
+                        return `<div class="file unavailable">${name} (unavailable)</div>`;
+                    const link = f.path ? `<a href="${encodeURI(f.path)}">${name}</a>` : name;
+                    return `<div class="file">${link}</div>`;
+                })
+                .join('');
+            const text = escapeHTML(e.text).replace(/\n/g, '<br>');
+            const cls = e.isSystem ? 'message system' : 'message';
+            return `<div class="${cls}" id="m${escapeHTML(
+                e.id
+            )}"><span class="time">${time}</span> <span class="sender">${sender}</span> <span class="text">${text}</span>${files}</div>`;
+        });
+        const title = escapeHTML(this.chat.name);
+        return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${title}</title></head><body><h1>${title}</h1>\n${rows.join(
+            '\n'
+        )}\n</body></html>\n`;
+    }
+
+    protected async write(content: string) {
+        const stream = new config.FileStream(this.path, 'write');
+        await stream.open();
+        try {
+            await stream.write(cryptoUtil.strToBytes(content));
+        } finally {
+            await stream.close();
+        }
+    }
+}
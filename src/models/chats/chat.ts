@@ -7,13 +7,17 @@ import {
     IObservableArray,
     ObservableMap
 } from 'mobx';
-import Message from './message';
+import Message, { PollOptions } from './message';
 import ChatKegDb from '../kegs/chat-keg-db';
 import User from '../user/user';
+import { SharedDbRole } from '../kegs/shared-db-boot-keg';
 import ChatFileHandler from './chat.file-handler';
 import ChatMessageHandler from './chat.message-handler';
 import ChatReceiptHandler from './chat.receipt-handler';
+import ChatReactionHandler from './chat.reaction-handler';
+import ChatPollHandler from './chat.poll-handler';
 import config from '../../config';
+import { serverErrorCodes } from '../../errors';
 import TaskQueue from '../../helpers/task-queue';
 import clientApp from '../client-app';
 import ChatHead from './chat-head';
@@ -23,6 +27,7 @@ import warnings from '../warnings';
 import Contact from '../contacts/contact';
 import chatInviteStore from '../chats/chat-invite-store';
 import { asPromise } from '../../helpers/prombservable';
+import Clock from '../../helpers/observable-clock';
 import * as cryptoUtil from '../../crypto/util';
 import tracker from '../update-tracker';
 import { getFileStore } from '../../helpers/di-file-store';
@@ -33,6 +38,14 @@ import { ChatStore } from './chat-store';
 import Volume from '../volumes/volume';
 import File from '../files/file';
 import ReadReceipt from './read-receipt';
+import ChatThread from './chat-thread';
+import { ScheduledMessage } from './scheduled-messages';
+import ChatTranscript, { TranscriptOptions, TranscriptResult } from './chat.transcript';
+import { ChatDraft, isDraftEmpty } from './chat-drafts';
+import { debounce } from 'lodash';
+import { markdownToRichText } from '../../helpers/rich-text/markdown';
+import { richTextToHTML } from '../../helpers/rich-text/serialize';
+import { ChatNotificationSettings, isChatMuted } from '../../helpers/notification-rules';
 
 // @ts-ignore to support desktop declarations emit until monorepo
 import Bluebird from 'bluebird';
@@ -81,6 +94,11 @@ export default class Chat {
             reaction(
                 () => clientApp.uiUserPrefs.externalContentJustForFavs,
                 this.resetExternalContent
+            ),
+            // only messages with expiration time observe the clock
+            reaction(
+                () => this.messages.filter(m => m.isExpired),
+                expired => expired.forEach(this._removeExpiredMessage)
             )
         );
     }
@@ -117,6 +135,11 @@ export default class Chat {
     // performance helper, to lookup messages by id and avoid duplicates
     _messageMap = {};
 
+    // reply threads views that were requested by client {parentId: ChatThread}
+    _threads: { [parentId: string]: ChatThread } = {};
+    // ids of all replies we've seen in this session {parentId: {replyId: true}}
+    _replyIds: { [parentId: string]: { [replyId: string]: boolean } } = {};
+
     compareContacts = (c1: Contact, c2: Contact) => {
         if (this.isAdmin(c1) && !this.isAdmin(c2)) return -1;
         if (!this.isAdmin(c1) && this.isAdmin(c2)) return 1;
@@ -208,6 +231,10 @@ export default class Chat {
      * can we go forward in history or we have the most recent data loaded
      */
     @observable canGoDown = false;
+    /**
+     * Message client should scroll to and highlight after jumpToMessage() or jumpToDate().
+     */
+    @observable highlightedMessageId: string = null;
 
     /**
      * currently selected/focused in UI
@@ -280,13 +307,18 @@ export default class Chat {
     }
 
     /**
-     * Chat head keg.
+     * Chat head keg. Loaded with metadata for channels and on first use for DMs, see `ensureChatHead()`.
      * Observable, because `this.name` relies on it
      */
     @observable.ref chatHead: ChatHead;
+    protected _chatHeadLoading: Promise<void> = null;
+    // TODO: raw keg types
+    protected _cachedChatHeadKeg: any = null;
     _messageHandler: ChatMessageHandler | null = null;
     _receiptHandler: ChatReceiptHandler | null = null;
     _fileHandler: ChatFileHandler | null = null;
+    _reactionHandler: ChatReactionHandler | null = null;
+    _pollHandler: ChatPollHandler | null = null;
 
     _addMessageQueue = new TaskQueue(1, config.chat.decryptQueueThrottle || 0);
 
@@ -294,7 +326,8 @@ export default class Chat {
 
     @computed
     get isReadOnly() {
-        if (this.isChannel) return false;
+        if (this.isArchived) return true;
+        if (this.isChannel) return this.myRole === 'readonly';
         return (
             this.otherParticipants.length > 0 &&
             this.otherParticipants.filter(p => p.isDeleted).length === this.otherParticipants.length
@@ -329,11 +362,84 @@ export default class Chat {
         return (this.chatHead && this.chatHead.purpose) || '';
     }
 
+    /**
+     * Pinned messages, in order of pinning. Loaded independently of the currently loaded messages page.
+     */
+    @observable.shallow pinnedMessages = [] as IObservableArray<Message>;
+
+    @observable.ref protected _draft: ChatDraft = null;
+
+    /**
+     * Messages scheduled to be sent to this chat, sorted by sending time.
+     */
+    @computed
+    get scheduledMessages(): ScheduledMessage[] {
+        return this.store.scheduler.getChatItems(this.id);
+    }
+
+    /**
+     * Unsent message text, synced between user's devices. Null if there's no draft.
+     */
+    @computed
+    get draft(): ChatDraft {
+        return isDraftEmpty(this._draft) ? null : this._draft;
+    }
+
+    /**
+     * Seconds after which new messages in this chat expire. 0 - messages don't expire.
+     */
+    @computed
+    get messageTTL() {
+        return (this.chatHead && this.chatHead.messageTTL) || 0;
+    }
+
+    /**
+     * True if notifications for this chat are muted, permanently or until some time.
+     */
+    @computed
+    get isMuted() {
+        const settings = this.notificationSettings;
+        if (!settings || settings.muted || !settings.mutedUntil) return isChatMuted(settings, 0);
+        // clock is observed only for temporarily muted chats, so it unmutes at 'mutedUntil'
+        return isChatMuted(settings, Clock.default.now);
+    }
+
+    @computed
+    get notificationSettings(): ChatNotificationSettings {
+        return this.store.notifications.getChatSettings(this.id);
+    }
+
+    /**
+     * @param until - mute until this time, mutes until unmuted if not specified
+     */
+    mute(until?: Date) {
+        return this.store.notifications.muteChat(this.id, until);
+    }
+
+    unmute() {
+        return this.store.notifications.unmuteChat(this.id);
+    }
+
+    /**
+     * Notify only about mentions and keywords in this chat.
+     */
+    setMentionsOnly(mentionsOnly: boolean) {
+        return this.store.notifications.setMentionsOnly(this.id, mentionsOnly);
+    }
+
     @computed
     get isInSpace() {
         return !!this.chatHead && !!this.chatHead.spaceId;
     }
 
+    /**
+     * Archived channels are read-only for everyone until unarchived by admin.
+     */
+    @computed
+    get isArchived() {
+        return !!this.chatHead && this.chatHead.archived;
+    }
+
     @computed
     get headLoaded() {
         return !!(this.chatHead && this.chatHead.loaded);
@@ -410,6 +516,26 @@ export default class Chat {
         return true;
     }
 
+    /**
+     * Current user's role in this channel, null for regular members. In DMs everyone is an admin.
+     */
+    @computed
+    get myRole(): SharedDbRole {
+        if (!this.isChannel) return 'admin';
+        if (!this.db.boot) return null;
+        return this.db.boot.getRole(contactStore.currentUser);
+    }
+
+    /**
+     * True if current user can remove other users' messages and kick participants.
+     * Only channels have moderators, in DMs users can remove only their own messages.
+     */
+    @computed
+    get canIModerate() {
+        if (!this.isChannel) return false;
+        return this.myRole === 'admin' || this.myRole === 'moderator';
+    }
+
     /**
      * True if current user can leave the channel. (Last admin usually can't)
      */
@@ -454,14 +580,23 @@ export default class Chat {
         this._messageHandler = new ChatMessageHandler(this);
         this._fileHandler = new ChatFileHandler(this);
         this._receiptHandler = new ChatReceiptHandler(this);
+        this._reactionHandler = new ChatReactionHandler(this);
+        this._pollHandler = new ChatPollHandler(this);
+        // DM chat heads hold only settings like message expiration. Loading them at startup
+        // would cost a keg subscription and a request per DM, so they are loaded on first use.
+        this._cachedChatHeadKeg = cachedData.chatHead || null;
         if (this.isChannel) {
-            this.chatHead = new ChatHead(this.db);
-            if (cachedData.chatHead) {
-                await this.chatHead.loadFromKeg(cachedData.chatHead);
-            }
-            this.chatHead.onLoadedFromKeg = chatHeadKeg => {
-                this.store.cache.saveChatHead(this.id, chatHeadKeg);
-            };
+            await this.ensureChatHead();
+        } else {
+            this._reactionsToDispose.push(
+                reaction(
+                    () => this.active,
+                    active => {
+                        if (active) this.ensureChatHead();
+                    },
+                    { fireImmediately: true }
+                )
+            );
         }
         if (!cachedData.rawMeta) await this.store.cache.saveMeta(this.id, rawMeta);
         this.loadingMeta = false;
@@ -498,6 +633,22 @@ export default class Chat {
         });
     }
 
+    /**
+     * Adds messages restored from local cache, they are already decrypted.
+     */
+    addCachedMessages(messages: Message[]): Promise<void> {
+        if (!messages || !messages.length) return Promise.resolve();
+        return new Promise(resolve => {
+            // queued, so it doesn't interleave with batches of kegs being decrypted
+            this._addMessageQueue.addTask(
+                this._finishAddMessages,
+                this,
+                [messages, false, []],
+                resolve
+            );
+        });
+    }
+
     // decrypting a bunch of kegs in one call is tough on mobile, so we do it asynchronously one by one
     // TODO: raw keg types
     protected async _parseMessageKeg(keg: any, accumulator: Message[]) {
@@ -505,6 +656,15 @@ export default class Chat {
         // no payload for some reason. probably because of connection break after keg creation
         if (!(await msg.loadFromKeg(keg)) || msg.isEmpty) {
             console.debug('empty message keg', keg);
+            if (keg.deleted) {
+                this.store.search
+                    .removeMessage(this.id, keg.kegId)
+                    .catch(err => console.error(err));
+            }
+            return;
+        }
+        if (msg.isExpired) {
+            this._removeExpiredMessage(msg);
             return;
         }
         msg.parseExternalContent();
@@ -544,6 +704,7 @@ export default class Chat {
     protected _finishAddMessages(accumulator, prepend, kegs) {
         let newMessageCount = 0;
         let newMentionCount = 0;
+        const newMessages: Message[] = [];
         // let lastMentionId;
         if (!accumulator.length) {
             // this was en entire page of empty/deleted messages
@@ -566,6 +727,7 @@ export default class Chat {
             } else {
                 // track number of new messages & mentions in 'batch'
                 newMessageCount += 1;
+                newMessages.push(msg);
                 if (msg.isMention) {
                     newMentionCount += 1;
                     // lastMentionId = msg.id;
@@ -587,6 +749,10 @@ export default class Chat {
         // sort
         this.sortMessages();
         this.onNewMessageLoad(newMentionCount, newMessageCount);
+        // messages are not new if we are looking at older history
+        if (!prepend && !this.canGoDown) {
+            this.store.notifications.processMessages(this, newMessages, this.unreadCount);
+        }
         if (!prepend) {
             // updating most recent message
             for (let i = this.messages.length - 1; i >= 0; i--) {
@@ -620,6 +786,103 @@ export default class Chat {
         this._detectLimboGrouping();
         if (!prepend) this._sendReceipt(); // no sense in sending receipts when paging back
         this._receiptHandler.applyReceipts();
+        accumulator.forEach(m => {
+            this._reactionHandler.applyReactions(m);
+            this._pollHandler.applyResults(m);
+        });
+        this.registerReplies(accumulator);
+        this._updatePinnedMessages(accumulator);
+        this.store.search
+            .indexMessages(this.id, accumulator)
+            .catch(err => console.error('Failed to index messages', this.id, err));
+        if (!prepend) this.store.messageCache.savePage(this);
+    }
+
+    // keeps pinned list up to date with freshly loaded versions of pinned messages
+    protected _updatePinnedMessages(messages: Message[]) {
+        messages.forEach(msg => {
+            const ind = this.pinnedMessages.findIndex(p => p.id === msg.id);
+            if (ind < 0) return;
+            if (msg.deleted) {
+                this.pinnedMessages.splice(ind, 1);
+            } else {
+                this.pinnedMessages[ind] = msg;
+            }
+        });
+    }
+
+    protected _loadPinnedMessages = (ids: string[]) => {
+        return Promise.map(ids, id => this._getPinnedMessage(id)).then(messages => {
+            // pinned list could have changed while we were loading
+            if (this.chatHead.pinnedMessageIds.join() !== ids.join()) return;
+            this._setPinnedMessages(messages.filter(m => !!m));
+        });
+    };
+
+    @action
+    protected _setPinnedMessages(messages: Message[]) {
+        this.pinnedMessages.replace(messages);
+    }
+
+    // pinned message can be far from the loaded page, so we load it separately if needed
+    protected async _getPinnedMessage(id: string): Promise<Message> {
+        const loaded = this._messageMap[id] || this.pinnedMessages.find(m => m.id === id);
+        if (loaded) return loaded;
+        const msg = new Message(this.db);
+        msg.id = id;
+        try {
+            await msg.load();
+        } catch (err) {
+            console.error('Failed to load pinned message', this.id, id, err);
+            return null;
+        }
+        if (msg.deleted || msg.isEmpty) return null;
+        msg.parseExternalContent();
+        return msg;
+    }
+
+    /**
+     * Updates reply counters and thread views with reply messages, and parent messages with known reply counts.
+     * @param messages - any messages loaded in this chat, not only replies
+     */
+    @action
+    registerReplies(messages: Message[]) {
+        const changedThreads: { [parentId: string]: Message[] } = {};
+        for (const msg of messages) {
+            // parent message could have been reloaded
+            if (this._replyIds[msg.id]) msg.replyCount = Object.keys(this._replyIds[msg.id]).length;
+            const thread = this._threads[msg.id];
+            if (thread && !msg.deleted) thread.parent = msg;
+
+            if (!msg.replyTo) continue;
+            const parentId = msg.replyTo.kegId;
+            const ids = this._replyIds[parentId] || (this._replyIds[parentId] = {});
+            if (msg.deleted) delete ids[msg.id];
+            else ids[msg.id] = true;
+            (changedThreads[parentId] = changedThreads[parentId] || []).push(msg);
+        }
+        Object.keys(changedThreads).forEach(parentId => {
+            const count = Object.keys(this._replyIds[parentId]).length;
+            const parent: Message = this._messageMap[parentId];
+            if (parent) parent.replyCount = count;
+            const thread = this._threads[parentId];
+            if (!thread) return;
+            thread.parent.replyCount = count;
+            thread.addMessages(changedThreads[parentId]);
+        });
+    }
+
+    /**
+     * Returns observable view of replies to the message. Call `thread.loadInitialPage()` to load replies.
+     */
+    getThread(parent: Message): ChatThread {
+        if (!parent.id) throw new Error('Message that was not sent yet can not have replies.');
+        let thread = this._threads[parent.id];
+        if (!thread) {
+            thread = new ChatThread(this, parent);
+            this._threads[parent.id] = thread;
+        }
+        return thread;
     }
 
     /**
@@ -646,10 +909,122 @@ export default class Chat {
         return -1;
     }
 
+    /**
+     * Hides expired message. Sender's client also deletes it from server.
+     * There's no server side expiration, so a message stays on server until sender's client
+     * loads the page containing it after it expired. Until then other clients just don't show it.
+     */
+    @action.bound
+    protected _removeExpiredMessage(msg: Message) {
+        this.messages.remove(msg);
+        if (this._messageMap[msg.id] === msg) delete this._messageMap[msg.id];
+        this.store.search.removeMessage(this.id, msg.id).catch(err => console.error(err));
+        if (msg.deleted || msg.sender.username !== User.current.username) return;
+        msg.remove().catch(err => console.error('Failed to delete expired message', msg.id, err));
+    }
+
+    /**
+     * Loads chat head if it's not loaded yet.
+     */
+    ensureChatHead(): Promise<void> {
+        if (!this._chatHeadLoading) {
+            this._chatHeadLoading = this._loadChatHead(this._cachedChatHeadKeg).catch(err => {
+                // next call will try again
+                this._chatHeadLoading = null;
+                return Promise.reject(err);
+            });
+            this._cachedChatHeadKeg = null;
+        }
+        return this._chatHeadLoading;
+    }
+
+    protected async _loadChatHead(cachedKeg) {
+        const chatHead = new ChatHead(this.db);
+        if (cachedKeg) await chatHead.loadFromKeg(cachedKeg);
+        chatHead.onLoadedFromKeg = chatHeadKeg => {
+            this.store.cache.saveChatHead(this.id, chatHeadKeg);
+        };
+        this.chatHead = chatHead;
+        this._reactionsToDispose.push(
+            reaction(() => this.chatHead.pinnedMessageIds.slice(), this._loadPinnedMessages, {
+                fireImmediately: true
+            })
+        );
+        if (cachedKeg || this.isChannel) return;
+        // DM settings are not known yet, but offline user should still be able to send messages
+        await asPromise(chatHead, 'loaded', true)
+            .timeout(config.chat.dmChatHeadLoadTimeout)
+            .catch(() => {
+                console.error(`Chat head of ${this.id} did not load in time.`);
+            });
+    }
+
     protected _sendMessage(m: Message): Promise<void> {
+        if (this.chatHead) return this._sendMessageWithHead(m, false);
+        // DM chat head is loaded on first use, message is shown right away while waiting for it
+        m.prepareForSending();
+        m.sending = true;
+        this._addLimboMessage(m);
+        return this.ensureChatHead().then(
+            () => {
+                m.sending = false;
+                return this._sendMessageWithHead(m, true);
+            },
+            err => {
+                this.removeMessage(m);
+                return Promise.reject(err);
+            }
+        );
+    }
+
+    /**
+     * @param shown - message is already added to limbo messages
+     */
+    protected _sendMessageWithHead(m: Message, shown: boolean): Promise<void> {
+        const reject = (error: string) => {
+            if (shown) this.removeMessage(m);
+            return Promise.reject(new Error(error));
+        };
+        const systemAction = m.systemData && m.systemData.action;
+        if (this.isArchived && systemAction !== 'archive') {
+            return reject('Can not send messages to archived channel.');
+        }
+        // read-only members still announce joining and leaving
+        if (
+            this.isReadOnly &&
+            !this.isArchived &&
+            systemAction !== 'join' &&
+            systemAction !== 'leave'
+        ) {
+            return reject('Can not send messages to read-only chat.');
+        }
         if (this.canGoDown) this.reset();
+        if (!m.systemData) m.ttl = this.messageTTL;
+        // system messages are sent with retries anyway
+        if (!m.systemData && !socket.authenticated) {
+            m.prepareForSending();
+            if (!shown) this.addQueuedMessage(m);
+            return this.store.outbox.add(this, m);
+        }
         // send() will fill message with data required for rendering
-        const promise = m.send();
+        const promise = m.send().catch(err => {
+            // connection got lost, message will be sent after reconnect
+            if (!m.systemData && !socket.authenticated) return this.store.outbox.add(this, m);
+            return Promise.reject(err);
+        });
+        if (!shown) this._addLimboMessage(m);
+        return promise;
+    }
+
+    /**
+     * Shows message from the outbox until it's sent.
+     */
+    addQueuedMessage(m: Message) {
+        this._addLimboMessage(m);
+    }
+
+    @action
+    protected _addLimboMessage(m: Message) {
         this.limboMessages.push(m);
         this._detectLimboGrouping();
         when(
@@ -665,17 +1040,25 @@ export default class Chat {
                 }
             })
         );
-        return promise;
     }
 
     /**
      * Create a new Message keg attached to this chat with the given
      * plaintext (and optional files) and send it to the server.
+     * Meant for text from message composer, so it clears the draft.
      * @param files - an array of file ids to attach.
      * @param folders - an array of folder ids to attach.
      */
     @action
     sendMessage(text: string, files?: string[], folders?: string[]) {
+        this.clearDraft();
+        return this._sendTextMessage(text, files, folders);
+    }
+
+    /**
+     * Same as `sendMessage()`, but keeps the draft. For messages sent by file sharing and other actions.
+     */
+    _sendTextMessage(text: string, files?: string[], folders?: string[]) {
         const m = new Message(this.db);
         m.text = text;
         m.files = files;
@@ -685,13 +1068,14 @@ export default class Chat {
 
     /**
      * Create a new Message keg attached to this chat with the given
-     * plaintext (and optional files) and send it to the server.
+     * plaintext (and optional files) and send it to the server. Clears the draft.
      * @param richText - A ProseMirror document tree, as JSON
      * @param legacyText - The rendered HTML of the rich text, for back-compat with older clients
      * @param files - An array of file ids
      */
     @action
     sendRichTextMessage(richText: unknown, legacyText: string, files?: string[]) {
+        this.clearDraft();
         const m = new Message(this.db);
         m.files = files;
         m.richText = richText;
@@ -699,6 +1083,243 @@ export default class Chat {
         return this._sendMessage(m);
     }
 
+    /**
+     * Sends Markdown text as a rich text message, for clients that don't have a rich text editor.
+     * @param files - An array of file ids
+     */
+    sendMarkdownMessage(markdown: string, files?: string[]) {
+        const richText = markdownToRichText(markdown);
+        return this.sendRichTextMessage(richText, richTextToHTML(richText), files);
+    }
+
+    /**
+     * Updates message draft. Draft is saved with a delay, to avoid saving on every keystroke.
+     * @param richText - A ProseMirror document tree, as JSON
+     */
+    @action
+    setDraft(text: string, richText?: unknown) {
+        this._draft = { text: text || '', richText, updatedAt: Date.now() };
+        this._saveDraft();
+    }
+
+    clearDraft() {
+        if (isDraftEmpty(this._draft)) return;
+        this.setDraft('');
+    }
+
+    /**
+     * Applies draft received from server unless local draft is more recent.
+     */
+    @action
+    applySyncedDraft(draft: ChatDraft) {
+        if (!draft || (this._draft && this._draft.updatedAt >= draft.updatedAt)) return;
+        this._draft = draft;
+    }
+
+    protected _saveDraft = debounce(() => {
+        if (!this.id || !this.store.drafts || !this._draft) return;
+        this.store.drafts
+            .saveDraft(this.id, this._draft)
+            .catch(err => console.error('Failed to save chat draft', this.id, err));
+    }, config.chat.draftSaveDelay);
+
+    /**
+     * Creates a poll message. Votes are visible in `message.pollResults`.
+     * Polls are never anonymous: votes are kegs owned by voters, `hideVoters` only leaves
+     * voter names out of results.
+     * @param options - answers to vote for
+     * @param pollOptions - multiChoice, hideVoters, closesAt
+     */
+    createPoll(question: string, options: string[], pollOptions?: PollOptions): Promise<void> {
+        const validOptions = (options || []).map(o => (o || '').trim()).filter(o => !!o);
+        if (!question || !question.trim() || validOptions.length < 2) {
+            return Promise.reject(new Error('Poll needs a question and at least two options.'));
+        }
+        const m = new Message(this.db);
+        m.setPollFact(question.trim(), validOptions, pollOptions);
+        return this._sendMessage(m);
+    }
+
+    /**
+     * Replaces current user's vote in a poll.
+     * @param choices - indexes of chosen options, empty array to retract the vote
+     */
+    votePoll(poll: Message, choices: number[]): Promise<void> {
+        if (this.isReadOnly) return Promise.reject(new Error('Can not vote in read-only chat.'));
+        return this._pollHandler.vote(poll, choices);
+    }
+
+    /**
+     * Stops poll from accepting votes. Only poll creator can close it.
+     */
+    closePoll(poll: Message): Promise<void> {
+        return poll.closePoll().then(() => this._pollHandler.applyResults(poll));
+    }
+
+    /**
+     * Schedules message to be sent later. Message will be sent by any of user's clients that is online at that time.
+     * @param sendAt - time to send the message at
+     * @param files - an array of file ids to attach
+     */
+    scheduleMessage(text: string, sendAt: Date, files?: string[]): Promise<ScheduledMessage> {
+        if (!this.id) return Promise.reject(new Error('Chat is not created yet.'));
+        if (this.isReadOnly) {
+            return Promise.reject(new Error('Can not schedule messages to read-only chat.'));
+        }
+        if (!sendAt || isNaN(+sendAt)) return Promise.reject(new Error('Invalid sending time.'));
+        return this.store.scheduler.keg.addItem(this.id, text, +sendAt, files);
+    }
+
+    /**
+     * Changes scheduled message, unless it's already being sent.
+     */
+    editScheduledMessage(id: string, text: string, sendAt: Date, files?: string[]): Promise<void> {
+        return this.store.scheduler.keg.updateItem(id, { text, sendAt: +sendAt, files });
+    }
+
+    /**
+     * Cancels scheduled message, unless it's already being sent.
+     */
+    cancelScheduledMessage(id: string): Promise<void> {
+        return this.store.scheduler.keg.cancelItem(id);
+    }
+
+    /**
+     * For use by scheduler, sends message when it's due. Attached files are shared to the chat first.
+     * Failed message is not left in the chat, scheduler keeps it instead.
+     */
+    async sendScheduledMessage(item: ScheduledMessage): Promise<void> {
+        const m = new Message(this.db);
+        m.text = item.text;
+        if (item.files && item.files.length) {
+            m.files = await this._fileHandler.copyToChat(this._getScheduledFiles(item.files));
+        }
+        try {
+            await this._sendMessage(m);
+        } catch (err) {
+            this.removeMessage(m);
+            throw err;
+        }
+    }
+
+    // scheduled files are attached from user's drive
+    protected _getScheduledFiles(fileIds: string[]): File[] {
+        return fileIds.map(fileId => {
+            const file = getFileStore().getById(fileId);
+            if (!file || file.deleted) throw new Error(`File ${fileId} is not available.`);
+            return file;
+        });
+    }
+
+    /**
+     * Exports chat history to a file.
+     * @param path - transcript file path, shared files are downloaded to `${path}_files` folder
+     * @param options - format ('json', 'html' or 'text', default is 'text'), from/to dates, includeFiles
+     */
+    exportTranscript(path: string, options?: TranscriptOptions): Promise<TranscriptResult> {
+        if (!this.metaLoaded) return Promise.reject(new Error('Chat is not loaded yet.'));
+        return new ChatTranscript(this, path, options).export();
+    }
+
+    /**
+     * Sends a reply to a message. Reply shows up both in chat and in the thread of the parent message.
+     * Clears the draft, reply is typed in message composer.
+     * @param parent - message to reply to
+     * @param richText - A ProseMirror document tree, as JSON
+     */
+    @action
+    sendReply(parent: Message, text: string, richText?: unknown) {
+        this.clearDraft();
+        const m = new Message(this.db);
+        m.setReplyTo(parent);
+        m.text = text;
+        m.richText = richText;
+        return this._sendMessage(m);
+    }
+
+    /**
+     * Sends a copy of a message from this or another chat, attributed to its original sender.
+     * Attached files and folders are shared to this chat, so participants can open them.
+     * Attachments current user has no access to anymore are skipped.
+     * Self-destructing messages can't be forwarded, their sender expects them to disappear.
+     */
+    async forwardMessage(original: Message) {
+        if (original.expiresAt) {
+            throw new Error('Self-destructing messages can not be forwarded.');
+        }
+        const m = new Message(this.db);
+        m.setForwardedFrom(original);
+        if (original.files && original.files.length) {
+            const files = await this._getForwardedFiles(original);
+            if (files.length) m.files = await this._fileHandler.copyToChat(files);
+        }
+        if (original.folders && original.folders.length) {
+            m.folders = await this._shareForwardedFolders(original.folders);
+        }
+        if (!m.text && !m.richText && !m.files && !m.folders) {
+            throw new Error('Nothing to forward, attachments are not available.');
+        }
+        return this._sendMessage(m);
+    }
+
+    protected async _getForwardedFiles(original: Message): Promise<File[]> {
+        const files = await Promise.map(original.files, async fileId => {
+            try {
+                const file = getFileStore().getByIdInChat(fileId, original.db.id);
+                await asPromise(file, 'loaded', true);
+                return file.deleted ? null : file;
+            } catch (err) {
+                console.error('Failed to load forwarded file', fileId, err);
+                return null;
+            }
+        });
+        return files.filter(f => !!f);
+    }
+
+    // folders attached to messages are volumes, they are shared by adding chat participants
+    protected async _shareForwardedFolders(volumeIds: string[]): Promise<string[]> {
+        const participants = this.otherParticipants.slice();
+        const ret = [];
+        for (const id of volumeIds) {
+            const volume = getVolumeStore().volumeMap[id];
+            if (!volume) continue;
+            this.folderShareQueue.push(volume);
+            try {
+                await getVolumeStore().shareFolder(volume, participants);
+                ret.push(id);
+            } catch (err) {
+                console.error('Failed to share forwarded folder', id, err);
+            } finally {
+                this.folderShareQueue.remove(volume);
+            }
+        }
+        return ret.length ? ret : null;
+    }
+
+    /**
+     * Deletes a sent message. Users can delete their own messages, channel admins and moderators - any message.
+     */
+    deleteMessage(message: Message) {
+        const isMine = !!message.sender && message.sender.username === User.current.username;
+        if (!isMine && !this.canIModerate) {
+            return Promise.reject(
+                new Error('Only admins and moderators can delete messages of others.')
+            );
+        }
+        return message
+            .remove()
+            .then(() => {
+                this.removeMessage(message);
+                this.store.search
+                    .removeMessage(this.id, message.id)
+                    .catch(err => console.error(err));
+            })
+            .tapCatch(err => {
+                console.error('Failed to delete message', message.id, err);
+                warnings.add('error_deleteMessage');
+            });
+    }
+
     /**
      * todo: this is temporary, for messages that failed to send.
      * When we have message delete - it should be unified process.
@@ -711,7 +1332,23 @@ export default class Chat {
     }
 
     sendAck() {
-        return this.sendMessage(ACK_MSG);
+        return this._sendTextMessage(ACK_MSG);
+    }
+
+    /**
+     * Adds current user's emoji reaction to a message in this chat.
+     */
+    addReaction(message: Message, emoji: string) {
+        if (this.isReadOnly) return Promise.reject(new Error('Can not react in read-only chat.'));
+        return this._reactionHandler.addReaction(message, emoji);
+    }
+
+    /**
+     * Removes current user's emoji reaction from a message in this chat.
+     */
+    removeReaction(message: Message, emoji: string) {
+        if (this.isReadOnly) return Promise.reject(new Error('Can not react in read-only chat.'));
+        return this._reactionHandler.removeReaction(message, emoji);
     }
 
     /**
@@ -741,7 +1378,7 @@ export default class Chat {
     }
 
     shareVolume(volume: Volume) {
-        this.sendMessage('', null, [volume.id]);
+        this._sendTextMessage('', null, [volume.id]);
     }
 
     async shareFilesAndFolders(filesAndFolders: Array<File | FileFolder>) {
@@ -766,6 +1403,36 @@ export default class Chat {
         });
     }
 
+    /**
+     * Makes sure the message is loaded, replacing loaded messages with a page around it if needed,
+     * and sets it as `highlightedMessageId`.
+     * @returns false if message doesn't exist
+     */
+    async jumpToMessage(kegId: string): Promise<boolean> {
+        if (!this.metaLoaded) await this.loadMetadata();
+        await asPromise(this, 'loadingInitialPage', false);
+        if (!this._messageMap[kegId]) {
+            if (!(await this._messageHandler.loadPageAround(kegId))) return false;
+        }
+        this.highlightedMessageId = kegId;
+        return true;
+    }
+
+    /**
+     * Jumps to the first message sent at or after the date, or to the newest message if there's none.
+     * @returns false if chat has no messages
+     */
+    async jumpToDate(date: Date): Promise<boolean> {
+        if (!this.metaLoaded) await this.loadMetadata();
+        const kegId = await this._messageHandler.findKegIdByDate(date);
+        if (!kegId) return false;
+        return this.jumpToMessage(kegId);
+    }
+
+    clearHighlight() {
+        this.highlightedMessageId = null;
+    }
+
     loadMostRecentMessage() {
         return this._messageHandler.loadMostRecentMessage();
     }
@@ -793,6 +1460,8 @@ export default class Chat {
     rename(name: string) {
         let validated = name || '';
         validated = validated.trim().substr(0, config.chat.maxChatNameLength);
+        if (this.isArchived)
+            return Promise.reject(new Error('Archived channel can not be changed.'));
         if (this.chatHead.chatName === validated || (!this.chatHead.chatName && !validated)) {
             return Promise.resolve(); // nothing to rename
         }
@@ -837,6 +1506,8 @@ export default class Chat {
     changePurpose(purpose: string) {
         let validated = purpose || '';
         validated = validated.trim().substr(0, config.chat.maxChatPurposeLength);
+        if (this.isArchived)
+            return Promise.reject(new Error('Archived channel can not be changed.'));
         if (this.chatHead.purpose === validated || (!this.chatHead.purpose && !validated)) {
             return Promise.resolve(); // nothing to change
         }
@@ -856,10 +1527,143 @@ export default class Chat {
             });
     }
 
+    isPinned(message: Message) {
+        return !!this.chatHead && this.chatHead.pinnedMessageIds.includes(message.id);
+    }
+
+    /**
+     * Pins message to the chat. Only admins can pin messages in channels.
+     */
+    pinMessage(message: Message) {
+        if (!this.canIAdmin) {
+            return Promise.reject(new Error('Only admins can pin messages.'));
+        }
+        if (!message.id || message.systemData) {
+            return Promise.reject(new Error('This message can not be pinned.'));
+        }
+        return this.ensureChatHead().then(() => {
+            // checked before saving chat head, system message can't be sent to archived channel
+            if (this.isArchived) throw new Error('Archived channel can not be changed.');
+            if (this.isPinned(message)) return null;
+            return this.chatHead
+                .save(
+                    () => {
+                        if (this.chatHead.pinnedMessageIds.includes(message.id)) return false;
+                        this.chatHead.pinnedMessageIds.push(message.id);
+                        return true;
+                    },
+                    null,
+                    'error_pinMessage'
+                )
+                .then(() => {
+                    const m = new Message(this.db);
+                    m.setPinFact(message, true);
+                    return this._sendMessage(m);
+                });
+        });
+    }
+
+    /**
+     * Unpins message. Only admins can unpin messages in channels.
+     */
+    unpinMessage(message: Message) {
+        if (!this.canIAdmin) {
+            return Promise.reject(new Error('Only admins can unpin messages.'));
+        }
+        return this.ensureChatHead().then(() => {
+            if (this.isArchived) throw new Error('Archived channel can not be changed.');
+            if (!this.isPinned(message)) return null;
+            return this.chatHead
+                .save(
+                    () => this.chatHead.pinnedMessageIds.remove(message.id),
+                    null,
+                    'error_unpinMessage'
+                )
+                .then(() => {
+                    const m = new Message(this.db);
+                    m.setPinFact(message, false);
+                    return this._sendMessage(m);
+                });
+        });
+    }
+
+    /**
+     * Changes expiration time for messages sent after this change. Only admins can do it.
+     * Expired messages are hidden by every client, but deleted from server only by sender's client
+     * when it has the message loaded, see `_removeExpiredMessage()`.
+     * @param seconds - 0 to turn message expiration off
+     */
+    setMessageTTL(seconds: number) {
+        if (!this.canIAdmin) {
+            return Promise.reject(new Error('Only admins can change message expiration time.'));
+        }
+        const validated = Math.max(0, Math.round(seconds || 0));
+        return this.ensureChatHead().then(() => {
+            if (this.isArchived) throw new Error('Archived channel can not be changed.');
+            if (this.chatHead.messageTTL === validated) return null;
+            return this.chatHead
+                .save(
+                    () => {
+                        this.chatHead.messageTTL = validated;
+                        return true;
+                    },
+                    null,
+                    'error_messageTTLChange'
+                )
+                .then(() => {
+                    const m = new Message(this.db);
+                    m.setMessageTTLFact(validated);
+                    return this._sendMessage(m);
+                });
+        });
+    }
+
+    /**
+     * Makes channel read-only for everyone and moves it to `ChatStore#archivedChannels`. Only admins can archive.
+     */
+    archive() {
+        return this._setArchived(true);
+    }
+
+    /**
+     * Makes archived channel writable again. Only admins can unarchive.
+     */
+    unarchive() {
+        return this._setArchived(false);
+    }
+
+    protected _setArchived(archived: boolean): Promise<void> {
+        if (!this.isChannel || !this.canIAdmin) {
+            return Promise.reject(
+                new Error('Only channel admins can archive and unarchive channels.')
+            );
+        }
+        return this.ensureChatHead().then(() => {
+            if (this.isArchived === archived) return null;
+            return this.chatHead
+                .save(
+                    () => {
+                        if (this.chatHead.archived === archived) return false;
+                        this.chatHead.archived = archived;
+                        return true;
+                    },
+                    null,
+                    'error_channelArchive'
+                )
+                .then(() => {
+                    // archive fact is the only message archived channel accepts
+                    const m = new Message(this.db);
+                    m.setArchiveFact(archived);
+                    return this._sendMessage(m);
+                });
+        });
+    }
+
     /**
      * @param space - contains id, name, description, type
+     * @param errorLocaleKey - error to show if saving fails, pass null to not show any
      */
-    setSpace(space) {
+    setSpace(space, errorLocaleKey = 'title_error') {
         const validated = space;
         if (!space.spaceId) {
             validated.spaceId = cryptoUtil.getRandomGlobalShortIdHex();
@@ -880,7 +1684,7 @@ export default class Chat {
                 return true;
             },
             null,
-            'title_error'
+            errorLocaleKey
         );
     }
 
@@ -936,6 +1740,7 @@ export default class Chat {
         this.loadingBottomPage = false;
         this.canGoUp = false;
         this.canGoDown = false;
+        this.highlightedMessageId = null;
         this._messageMap = {};
         this.messages.clear();
         this._cancelTopPageLoad = false;
@@ -1001,8 +1806,9 @@ export default class Chat {
 
     /**
      * Deletes the channel.
+     * @param noWarning - don't show success and error warnings, caller will report the result
      */
-    delete() {
+    delete(noWarning = false) {
         if (!this.isChannel) return Promise.reject(new Error('Can not delete DM chat.'));
         // this is an ugly-ish flag to prevent chat store from creating a warning about user being kicked from channel
         this.deletedByMyself = true;
@@ -1011,12 +1817,12 @@ export default class Chat {
             .send('/auth/kegs/channel/delete', { kegDbId: this.id })
             .then(() => {
                 console.log(`Channel ${this.id} has been deleted.`);
-                warnings.add('title_channelDeleted');
+                if (!noWarning) warnings.add('title_channelDeleted');
             })
             .catch(err => {
                 console.error('Failed to delete channel', err);
                 this.deletedByMyself = false;
-                warnings.add('error_channelDelete');
+                if (!noWarning) warnings.add('error_channelDelete');
                 return Promise.reject(err);
             });
     }
@@ -1062,61 +1868,96 @@ export default class Chat {
      * Assigns admin role to a contact.
      */
     promoteToAdmin(contact: Contact) {
-        if (!this.otherParticipants.includes(contact)) {
-            return Promise.reject(new Error('Attempt to promote user who is not a participant'));
+        return this.assignRole(contact, 'admin', 'error_promoteToAdmin');
+    }
+
+    /**
+     * Unassigns admin role from a contact.
+     */
+    demoteAdmin(contact: Contact) {
+        return this.unassignRole(contact, 'admin', 'error_demoteAdmin');
+    }
+
+    /**
+     * Assigns a role to a channel participant, replacing the role participant had. Only admins can assign roles.
+     */
+    assignRole(contact: Contact, role: SharedDbRole, errorLocaleKey = 'error_assignRole') {
+        if (!this.isChannel || !this.canIAdmin) {
+            return Promise.reject(new Error('Only channel admins can assign roles.'));
         }
-        if (this.db.admins.includes(contact)) {
-            return Promise.reject(new Error('Attempt to promote user who is already an admin.'));
+        if (!this.otherParticipants.includes(contact)) {
+            return Promise.reject(
+                new Error('Attempt to assign role to user who is not a participant')
+            );
         }
         const { boot } = this.db;
+        const previousRole = boot.getRole(contact);
+        if (previousRole === role) {
+            return Promise.reject(new Error(`Attempt to assign role user already has: ${role}.`));
+        }
         return boot
             .save(
                 () => {
-                    boot.assignRole(contact, 'admin');
+                    boot.assignRole(contact, role);
                     return true;
                 },
                 () => {
-                    boot.unassignRole(contact, 'admin');
+                    if (previousRole) boot.assignRole(contact, previousRole);
+                    else boot.unassignRole(contact, role);
                 },
-                'error_promoteToAdmin'
+                errorLocaleKey
             )
             .then(() => {
                 const m = new Message(this.db);
-                m.setRoleAssignFact(contact.username, 'admin');
+                m.setRoleAssignFact(contact.username, role);
                 this._sendMessage(m);
             });
     }
 
     /**
-     * Unassigns admin role from a contact.
+     * Removes a role from a channel participant, making them a regular member. Only admins can do it.
      */
-    demoteAdmin(contact: Contact) {
-        if (!this.otherParticipants.includes(contact)) {
-            return Promise.reject(new Error('Attempt to demote user who is not a participant'));
+    unassignRole(contact: Contact, role: SharedDbRole, errorLocaleKey = 'error_assignRole') {
+        if (!this.isChannel || !this.canIAdmin) {
+            return Promise.reject(new Error('Only channel admins can unassign roles.'));
         }
-        if (!this.db.admins.includes(contact)) {
-            return Promise.reject(new Error('Attempt to demote user who is not an admin.'));
+        if (!this.otherParticipants.includes(contact)) {
+            return Promise.reject(
+                new Error('Attempt to unassign role from user who is not a participant')
+            );
         }
-
         const { boot } = this.db;
+        if (boot.getRole(contact) !== role) {
+            return Promise.reject(
+                new Error(`Attempt to unassign role user doesn't have: ${role}.`)
+            );
+        }
         return boot
             .save(
                 () => {
-                    boot.unassignRole(contact, 'admin');
+                    boot.unassignRole(contact, role);
                     return true;
                 },
                 () => {
-                    boot.assignRole(contact, 'admin');
+                    boot.assignRole(contact, role);
                 },
-                'error_demoteAdmin'
+                errorLocaleKey
             )
             .then(() => {
                 const m = new Message(this.db);
-                m.setRoleUnassignFact(contact.username, 'admin');
+                m.setRoleUnassignFact(contact.username, role);
                 this._sendMessage(m);
             });
     }
 
+    /**
+     * @returns role of the contact in this channel or null for regular members
+     */
+    getRole(contact: Contact): SharedDbRole {
+        if (!this.isChannel) return 'admin';
+        return this.db.boot ? this.db.boot.getRole(contact) : null;
+    }
+
     /**
      * Checks if a contact has admin rights to this chat.
      */
@@ -1136,35 +1977,72 @@ export default class Chat {
             contact = contactStore.getContact(participant);
         } else contact = participant;
 
-        const { boot } = this.db;
-        const wasAdmin = boot.admins.includes(contact);
+        const previousRole = this.db.boot.getRole(contact);
+        if (isUserKick) {
+            if (!this.canIModerate) {
+                return Promise.reject(
+                    new Error('Only admins and moderators can remove participants.')
+                );
+            }
+            if (previousRole === 'admin' && !this.canIAdmin) {
+                return Promise.reject(new Error('Moderators can not remove admins.'));
+            }
+        }
 
         return contact
             .ensureLoaded()
-            .then(() => {
-                return boot.save(
-                    () => {
-                        if (wasAdmin) boot.unassignRole(contact, 'admin');
-                        boot.removeParticipant(contact);
-                        boot.addKey();
-                        return true;
-                    },
-                    () => {
-                        boot.addParticipant(contact);
-                        boot.removeUnsavedKey();
-                        if (wasAdmin) boot.assignRole(contact, 'admin');
-                    },
-                    'error_removeParticipant'
-                );
-            })
-            .then(() => {
-                if (!isUserKick) return;
+            .then(() => this._removeParticipantAndRotateKey(contact))
+            .then(removed => {
+                if (!removed || !isUserKick) return;
                 const m = new Message(this.db);
                 m.setUserKickFact(contact.username);
                 this._sendMessage(m);
             });
     }
 
+    /**
+     * Removes participant from boot keg and adds a new key encrypted only for remaining participants,
+     * so removed user can't decrypt messages sent after removal. Older keys stay in boot keg, so history
+     * remains readable. When boot keg was concurrently updated (e.g. several admins are processing the same
+     * leaver), save fails and boot keg gets reloaded, so we retry with fresh data.
+     * @returns false if participant had already been removed by someone else
+     */
+    protected async _removeParticipantAndRotateKey(
+        contact: Contact,
+        attempt = 1
+    ): Promise<boolean> {
+        const { boot } = this.db;
+        const lastAttempt = attempt >= config.chat.keyRotationAttempts;
+        let previousRole: SharedDbRole = null;
+        let removed = false;
+        try {
+            await boot.save(
+                () => {
+                    // whoever removed the participant has rotated the key too
+                    if (!boot.participants.includes(contact)) return false;
+                    previousRole = boot.getRole(contact);
+                    if (previousRole) boot.unassignRole(contact, previousRole);
+                    boot.removeParticipant(contact);
+                    boot.addKey();
+                    removed = true;
+                    return true;
+                },
+                () => {
+                    boot.addParticipant(contact);
+                    boot.removeUnsavedKey();
+                    if (previousRole) boot.assignRole(contact, previousRole);
+                },
+                lastAttempt ? 'error_removeParticipant' : null
+            );
+        } catch (err) {
+            if (!lastAttempt && err && err.code === serverErrorCodes.malformedRequest) {
+                return this._removeParticipantAndRotateKey(contact, attempt + 1);
+            }
+            throw err;
+        }
+        return removed;
+    }
+
     /**
      * Remove myself from this channel.
      */
@@ -1236,6 +2114,10 @@ export default class Chat {
             this._reactionsToDispose.forEach(d => d());
             if (this._messageHandler) this._messageHandler.dispose();
             if (this._receiptHandler) this._receiptHandler.dispose();
+            if (this._reactionHandler) this._reactionHandler.dispose();
+            if (this._pollHandler) this._pollHandler.dispose();
+            // don't lose pending draft change
+            this._saveDraft.flush();
         } catch (err) {
             console.error(err);
         }
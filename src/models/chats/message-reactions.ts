@@ -0,0 +1,53 @@
+import { observable, IObservableArray } from 'mobx';
+import Keg from '../kegs/keg';
+import ChatKegDb from '../kegs/chat-keg-db';
+import { IKegDb } from '../../defs/interfaces';
+
+interface MessageReactionsPayload {
+    messageId: string;
+    emojis: string[];
+}
+interface MessageReactionsProps {}
+
+/**
+ * Holds emoji reactions of one user to one message. Named keg, names contain message id and username.
+ */
+export default class MessageReactions extends Keg<MessageReactionsPayload, MessageReactionsProps> {
+    constructor(messageId: string, username: string, db: ChatKegDb) {
+        super(
+            messageId && username ? `reaction-${messageId}-${username}` : null,
+            'reaction',
+            db as IKegDb,
+            false,
+            false,
+            true
+        );
+        this.messageId = messageId;
+    }
+
+    /**
+     * Id of the message this reactions are for
+     */
+    messageId: string;
+    /**
+     * Emojis current keg owner reacted with, in order of reaction
+     */
+    @observable.shallow emojis = [] as IObservableArray<string>;
+    /**
+     * true if this keg's name doesn't match keg owner or message id.
+     */
+    reactionsError: boolean;
+
+    serializeKegPayload() {
+        return { messageId: this.messageId, emojis: this.emojis.slice() };
+    }
+
+    deserializeKegPayload(payload) {
+        this.messageId = payload.messageId;
+        this.emojis = observable.array(payload.emojis || [], { deep: false });
+    }
+
+    afterLoad = () => {
+        this.reactionsError = this.id !== `reaction-${this.messageId}-${this.owner}`;
+    };
+}
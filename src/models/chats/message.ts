@@ -1,17 +1,31 @@
-import { observable, computed, IObservableArray } from 'mobx';
+import { observable, computed, action, IObservableArray, ObservableMap } from 'mobx';
 import contactStore from './../contacts/contact-store';
 import User from './../user/user';
 import Keg from './../kegs/keg';
 import moment from 'moment';
 import _ from 'lodash';
 import { retryUntilSuccess } from '../../helpers/retry';
-import { ExternalImage, ExternalWebsite, ExternalContent } from '../../helpers/unfurl/types';
+import {
+    ExternalImage,
+    ExternalWebsite,
+    ExternalMedia,
+    ExternalContent
+} from '../../helpers/unfurl/types';
 import { getUrls, processUrl } from '../../helpers/unfurl/unfurl';
 import clientApp from '../client-app';
 import SharedKegDb from '../kegs/shared-keg-db';
+import { SharedDbRole } from '../kegs/shared-db-boot-keg';
 import Contact from '../contacts/contact';
 import ReadReceipt from './read-receipt';
 import config from '../../config';
+import { getChatStore } from '../../helpers/di-chat-store';
+import { truncateWithEllipsis } from '../../helpers/string';
+import { findKeyword } from '../../helpers/notification-rules';
+import Clock from '../../helpers/observable-clock';
+import socket from '../../network/socket';
+
+// drives expiration of self-destructing messages
+const expirationClock = new Clock(config.chat.expirationCheckInterval);
 
 interface MessagePayload {
     text: string;
@@ -19,13 +33,146 @@ interface MessagePayload {
     richText?: unknown;
     timestamp: number;
     userMentions: string[];
+    /** Group mentions used by chat admin, 'channel' - everyone, 'admins' - all admins. */
+    groupMentions?: GroupMention[];
     files?: string; // stringified array if file ids
     folders?: string; // stringified array if folder ids
     systemData?: { action: string; [key: string]: any };
+    /** Set when message was edited, timestamp of the most recent edit. */
+    editedAt?: number;
+    /** Previous versions of the message, oldest first. */
+    editHistory?: MessageVersion[];
+    /** Set when this message is a reply to another message. */
+    replyTo?: MessageReplyTo;
+    /** Set for self-destructing messages, timestamp after which message should not be shown. */
+    expiresAt?: number;
+    /** Set when message was forwarded from another chat. */
+    forwardedFrom?: MessageForwardedFrom;
+}
+
+/**
+ * Decrypted message keg stored in local message cache.
+ */
+export interface CachedMessageData {
+    kegId: string;
+    version: number;
+    format: number;
+    collectionVersion: string;
+    owner: string;
+    createdAt: number;
+    updatedAt: number;
+    /** signature was verified before caching, but result might have been negative */
+    signatureError: boolean;
+    payload: MessagePayload;
+}
+
+export type GroupMention = 'channel' | 'admins';
+
+const groupMentionRegex = /(^|[^\w@])@(channel|admins)\b/gi;
+
+function getGroupMentions(text: string): GroupMention[] {
+    if (!text) return [];
+    const ret = new Set<GroupMention>();
+    let match: RegExpExecArray;
+    groupMentionRegex.lastIndex = 0;
+    while ((match = groupMentionRegex.exec(text))) {
+        ret.add(match[2].toLowerCase() as GroupMention);
+    }
+    return Array.from(ret);
+}
+
+/**
+ * Snapshot of message content before it was edited.
+ * Stored inside the message payload, so it's encrypted and signed together with the current version.
+ */
+export interface MessageVersion {
+    text: string;
+    /** Opaque JSON generated by Prosemirror. */
+    richText?: unknown;
+    /** When this version was created (original send time or time of previous edit). */
+    timestamp: number;
+}
+
+/**
+ * Reference to the parent message with a small quoted snapshot of it,
+ * so reply can be rendered without loading the parent.
+ */
+export interface MessageReplyTo {
+    /** Parent message keg id */
+    kegId: string;
+    /** Parent message sender username */
+    sender: string;
+    /** Truncated parent message text */
+    text: string;
+    /** Parent message timestamp */
+    timestamp: number;
+}
+
+/**
+ * Attribution of a forwarded message. Points to the original author, not to the forwarding chain.
+ */
+export interface MessageForwardedFrom {
+    /** Original message sender username */
+    sender: string;
+    /** Original message timestamp */
+    timestamp: number;
+}
+
+/**
+ * User who has seen a message.
+ */
+export interface MessageSeenBy {
+    username: string;
+    /** Time user's read position has reached this message or a later one */
+    seenAt: Date;
+}
+
+/**
+ * Delivery status of a message.
+ * - queued: waiting in the outbox for connection
+ * - sending: obtaining message id from server
+ * - sent: message id is reserved, content is being saved
+ * - delivered: server has acknowledged the message content
+ * - readBySome: some of the other participants have seen the message
+ * - readByAll: all other participants have seen the message
+ * - failed: sending has failed, message can be resent
+ */
+export type MessageStatus =
+    | 'queued'
+    | 'sending'
+    | 'sent'
+    | 'delivered'
+    | 'readBySome'
+    | 'readByAll'
+    | 'failed';
+
+export interface PollOptions {
+    /** allows voting for several options */
+    multiChoice?: boolean;
+    /**
+     * Results don't list voter names. This is not a secret ballot: every vote is
+     * a keg signed and owned by the voter, so participants can still tell who voted for what.
+     */
+    hideVoters?: boolean;
+    /** poll stops accepting votes at this time */
+    closesAt?: Date;
+}
+
+export interface PollResults {
+    /** number of votes for each option */
+    counts: number[];
+    /** usernames that voted for each option, empty if poll hides voters */
+    voters: string[][];
+    /** number of users who voted */
+    totalVoters: number;
+    /** current user's choices */
+    myChoices: number[];
 }
 
 interface MessageProps {
     systemAction?: string;
+    /** Parent message keg id, in props so server can filter thread messages. */
+    replyTo?: string;
 }
 /**
  * Message keg and model
@@ -48,14 +195,64 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
     text: string;
     /** Opaque JSON generated by Prosemirror. */
     richText: unknown;
-    isMention: boolean;
+    /**
+     * Group mentions that had effect, i.e. were used by a chat admin.
+     */
+    @observable.ref groupMentions: GroupMention[] = [];
+    /**
+     * Parent message reference, if this message is a reply.
+     */
+    replyTo: MessageReplyTo;
+    /**
+     * Original author and time, if this message was forwarded.
+     */
+    forwardedFrom: MessageForwardedFrom;
+    /**
+     * Seconds to live after sending. Chat sets it before sending according to chat settings.
+     */
+    ttl = 0;
+    /**
+     * Time after which self-destructing message should be hidden and deleted. null for regular messages.
+     */
+    expiresAt: Date = null;
+
+    // decrypted payload, kept for local message cache
+    protected _cachePayload: MessagePayload = null;
 
     @observable sending = false;
     @observable sendError = false;
+    /**
+     * Message is waiting in the outbox to be sent when connection is restored.
+     */
+    @observable queued = false;
+    /**
+     * Aggregated votes, for poll messages only.
+     */
+    @observable.ref pollResults: PollResults = null;
+    /**
+     * Time poll was closed by its creator.
+     */
+    @observable pollClosedAt: Date = null;
+    /**
+     * True if message content was changed by sender after it was sent.
+     */
+    @observable edited = false;
+    /**
+     * Time of the most recent edit.
+     */
+    @observable editedAt: Date = null;
+    /**
+     * Previous versions of the message, oldest first.
+     */
+    @observable.shallow protected _editHistory = [] as IObservableArray<MessageVersion>;
     /**
      * array of usernames to render receipts for
      */
     @observable receipts: IObservableArray<{ username: string; receipt: ReadReceipt }>;
+    /**
+     * Emoji reactions to this message. {emoji: [username, ...]}
+     */
+    reactions: ObservableMap<string, string[]> = observable.map(null, { deep: false });
     /**
      * Which usernames are mentioned in this message.
      */
@@ -80,12 +277,57 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
      */
     @observable.shallow externalWebsites = [] as IObservableArray<ExternalWebsite>;
 
+    /**
+     * Video and audio embeds mentioned in this chat and safe to render in agreement with all settings.
+     */
+    @observable.shallow externalMedia = [] as IObservableArray<ExternalMedia>;
+
     /**
      * Indicates if current message contains at least one url.
      */
     @observable hasUrls = false;
 
+    /**
+     * Number of known replies to this message.
+     * Counts replies that current chat session has seen in loaded pages and threads.
+     */
+    @observable replyCount = 0;
+
     // -----
+    /**
+     * Message mentions current user directly, with a group mention or with one of user's alert keywords.
+     * Current user's own messages are never mentions.
+     */
+    @computed
+    get isMention(): boolean {
+        if (this.owner === User.current.username) return false;
+        return this.isDirectMention || !!this.mentionedKeyword;
+    }
+
+    /**
+     * Message mentions current user by username or with a group mention.
+     */
+    @computed
+    get isDirectMention(): boolean {
+        const username = User.current.username;
+        return (
+            (!!this.userMentions && this.userMentions.includes(username)) ||
+            this.groupMentions.includes('channel') ||
+            (this.groupMentions.includes('admins') && this.isAdminInChat(username))
+        );
+    }
+
+    /**
+     * Alert keyword that made this message a mention, set only if there's no direct or group mention.
+     * Recomputed when keywords are loaded or changed.
+     */
+    @computed
+    get mentionedKeyword(): string {
+        if (this.owner === User.current.username || this.isDirectMention) return null;
+        const { settings } = getChatStore().notifications;
+        return settings ? findKeyword(this.text, settings.keywords) : null;
+    }
+
     /**
      * used to compare calendar days
      */
@@ -109,6 +351,119 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
         const { timestamp } = this;
         return timestamp ? moment(timestamp).format('LT') : null;
     }
+    /**
+     * True when self-destructing message has expired. Observable, updates with expiration clock.
+     */
+    @computed
+    get isExpired() {
+        if (!this.expiresAt) return false;
+        return expirationClock.now >= this.expiresAt.valueOf();
+    }
+
+    get isPoll() {
+        return !!this.systemData && this.systemData.action === 'poll';
+    }
+
+    /**
+     * True if poll was closed by creator or closing time has passed. Observable.
+     */
+    @computed
+    get isPollClosed() {
+        if (!this.isPoll) return false;
+        if (this.pollClosedAt) return true;
+        const { closesAt } = this.systemData;
+        return !!closesAt && Clock.default.now >= closesAt;
+    }
+
+    /**
+     * Previous versions of this message, oldest first. Empty array if message was never edited.
+     */
+    @computed
+    get editHistory(): MessageVersion[] {
+        return this._editHistory.slice();
+    }
+
+    /**
+     * Only sender can edit the message and only after it was sent. System messages can't be edited.
+     * Message signature is verified against keg owner, so an edit saved by anyone else results in signatureError.
+     */
+    @computed
+    get canEdit() {
+        return !!(
+            this.id &&
+            this.version > 1 &&
+            !this.systemData &&
+            !this.deleted &&
+            this.sender &&
+            this.sender.username === User.current.username
+        );
+    }
+
+    /**
+     * Users who have seen this message, earliest first. Sender is not included.
+     * null for chats with more than `config.chat.seenByListLimit` participants, use `seenByCount` for those.
+     */
+    @computed
+    get seenBy(): MessageSeenBy[] {
+        const chat = getChatStore().chatMap[this.db.id];
+        if (!chat || !chat._receiptHandler) return [];
+        if (chat.allParticipants.length > config.chat.seenByListLimit) return null;
+        return chat._receiptHandler.getSeenBy(this);
+    }
+
+    /**
+     * Number of users who have seen this message. Sender is not included.
+     */
+    @computed
+    get seenByCount(): number {
+        const chat = getChatStore().chatMap[this.db.id];
+        if (!chat || !chat._receiptHandler) return 0;
+        return chat._receiptHandler.getSeenByCount(this);
+    }
+
+    /**
+     * Delivery status of this message, see MessageStatus.
+     */
+    @computed
+    get status(): MessageStatus {
+        if (this.sendError) return 'failed';
+        if (this.queued) return 'queued';
+        if (!this.id) return 'sending';
+        if (this.sending || this.version <= 1) return 'sent';
+        const seenByCount = this.seenByCount;
+        if (!seenByCount) return 'delivered';
+        const chat = getChatStore().chatMap[this.db.id];
+        // participants other than sender
+        const recipientCount = chat ? chat.allParticipants.length - 1 : 0;
+        return seenByCount >= recipientCount ? 'readByAll' : 'readBySome';
+    }
+
+    /**
+     * True if current user has reacted to this message with the emoji.
+     */
+    hasMyReaction(emoji: string) {
+        const usernames = this.reactions.get(emoji);
+        return !!usernames && usernames.includes(User.current.username);
+    }
+
+    /**
+     * Adds current user's emoji reaction to this message.
+     */
+    addReaction(emoji: string): Promise<void> {
+        const chat = getChatStore().chatMap[this.db.id];
+        if (!chat) return Promise.reject(new Error(`Chat ${this.db.id} is not loaded.`));
+        return chat.addReaction(this, emoji);
+    }
+
+    /**
+     * Removes current user's emoji reaction from this message.
+     */
+    removeReaction(emoji: string): Promise<void> {
+        const chat = getChatStore().chatMap[this.db.id];
+        if (!chat) return Promise.reject(new Error(`Chat ${this.db.id} is not loaded.`));
+        return chat.removeReaction(this, emoji);
+    }
+
     /**
      * Sends current message (saves the keg).
      * This function can be called as a reaction to user clicking 'retry' on failed message.
@@ -118,11 +473,8 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
     send() {
         this.sending = true;
         this.sendError = false;
-        if (!this.tempId) this.assignTemporaryId();
-        this.id = null;
-        this.version = 0;
-        this.sender = contactStore.currentUser;
-        this.timestamp = new Date();
+        this.queued = false;
+        this.prepareForSending();
         let promise;
         // we want to auto-retry system messages and messages containing file attachments
         if (
@@ -145,6 +497,127 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
             });
     }
 
+    /**
+     * Fills the data required for rendering a message that is not sent yet.
+     */
+    prepareForSending() {
+        if (!this.tempId) this.assignTemporaryId();
+        this.id = null;
+        this.version = 0;
+        this.sender = contactStore.currentUser;
+        this.timestamp = new Date();
+        this.expiresAt = this.ttl ? new Date(this.timestamp.valueOf() + this.ttl * 1000) : null;
+    }
+
+    /**
+     * Sends message from the outbox. Unlike send(), keeps keg id if it was obtained by a previous attempt
+     * and checks if that attempt has actually succeeded, so retries don't create duplicate messages.
+     * @param onIdAssigned - called when new keg is created, before its data is saved,
+     *                       to persist the id in case app is closed in between
+     */
+    sendQueued(onIdAssigned?: () => Promise<void>): Promise<void> {
+        this.sending = true;
+        this.sendError = false;
+        return this._loadIfAlreadySent()
+            .then(async sent => {
+                if (sent) return;
+                if (!this.id) {
+                    await this.createOnServer();
+                    if (onIdAssigned) await onIdAssigned();
+                }
+                await this.saveToServer();
+            })
+            .then(() => {
+                this.queued = false;
+            })
+            .finally(() => {
+                this.sending = false;
+            });
+    }
+
+    protected _loadIfAlreadySent(): Promise<boolean> {
+        if (!this.id) return Promise.resolve(false);
+        return socket
+            .send('/auth/kegs/get', { kegDbId: this.db.id, kegId: this.id }, false)
+            .then(async keg => {
+                if (keg.version < 2) return false;
+                return !!(await this.loadFromKeg(keg));
+            });
+    }
+
+    /**
+     * Replaces message content and saves the keg. Previous content is kept in edit history.
+     * @param richText - A ProseMirror document tree, as JSON
+     */
+    edit(text: string, richText?: unknown): Promise<void> {
+        if (!this.canEdit) {
+            return Promise.reject(
+                new Error(`Message ${this.id} can not be edited by ${User.current.username}.`)
+            );
+        }
+        const chat = getChatStore().chatMap[this.db.id];
+        if (chat && chat.isReadOnly) {
+            return Promise.reject(new Error('Can not edit messages in read-only chat.'));
+        }
+        const previous: MessageVersion = {
+            text: this.text,
+            richText: this.richText,
+            timestamp: (this.editedAt || this.timestamp).valueOf()
+        };
+        const editedBefore = this.edited;
+        const editedAtBefore = this.editedAt;
+        this._editHistory.push(previous);
+        this.text = text;
+        this.richText = richText;
+        this.edited = true;
+        this.editedAt = new Date();
+        this.sending = true;
+        return this.saveToServer()
+            .then(() => this.parseExternalContent())
+            .catch(err => {
+                console.error('Error editing message', err);
+                // we don't want to show content that wasn't saved
+                this._editHistory.remove(previous);
+                this.text = previous.text;
+                this.richText = previous.richText;
+                this.edited = editedBefore;
+                this.editedAt = editedAtBefore;
+                return Promise.reject(err);
+            })
+            .finally(() => {
+                this.sending = false;
+            });
+    }
+
+    /**
+     * Makes this message a reply to another message, quoting the parent.
+     */
+    setReplyTo(parent: Message) {
+        if (!parent.id) throw new Error('Can not reply to a message that was not sent yet.');
+        this.replyTo = {
+            kegId: parent.id,
+            sender: parent.sender.username,
+            text: truncateWithEllipsis(parent.text || '', config.chat.maxReplyQuoteLength),
+            timestamp: parent.timestamp.valueOf()
+        };
+    }
+
+    /**
+     * Copies content of another message and attributes it to the original sender.
+     * Attachments are not copied, they have to be shared to this chat first.
+     */
+    setForwardedFrom(original: Message) {
+        if (!original.id) throw new Error('Can not forward a message that was not sent yet.');
+        if (original.systemData) throw new Error('Can not forward a system message.');
+        this.text = original.text;
+        this.richText = original.richText;
+        // forwarding a forwarded message keeps the original attribution
+        this.forwardedFrom = original.forwardedFrom || {
+            sender: original.sender.username,
+            timestamp: original.timestamp.valueOf()
+        };
+    }
+
     /**
      * Creates system metadata indicating chat rename.
      */
@@ -206,9 +679,8 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
 
     /**
      * Crates system metadata indicating admin assigning a role to user.
-     * @param role - currently only 'admin'
      */
-    setRoleAssignFact(username: string, role: 'admin') {
+    setRoleAssignFact(username: string, role: SharedDbRole) {
         this.systemData = {
             action: 'assignRole',
             username,
@@ -218,9 +690,8 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
 
     /**
      * Crates system metadata indicating admin removing a role from user.
-     * @param role - currently only 'admin'
      */
-    setRoleUnassignFact(username: string, role: 'admin') {
+    setRoleUnassignFact(username: string, role: SharedDbRole) {
         this.systemData = {
             action: 'unassignRole',
             username,
@@ -228,6 +699,78 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
         };
     }
 
+    /**
+     * Creates system metadata indicating admin changing message expiration time.
+     * @param ttl - seconds, 0 when expiration was turned off
+     */
+    setMessageTTLFact(ttl: number) {
+        this.systemData = {
+            action: 'messageTTL',
+            ttl
+        };
+    }
+
+    /**
+     * Creates system metadata indicating admin archiving or unarchiving the channel.
+     */
+    setArchiveFact(archived: boolean) {
+        this.systemData = {
+            action: 'archive',
+            archived
+        };
+    }
+
+    /**
+     * @param message - message that was pinned or unpinned
+     */
+    setPinFact(message: Message, pinned: boolean) {
+        this.systemData = {
+            action: 'pinMessage',
+            pinned,
+            messageId: message.id,
+            text: truncateWithEllipsis(message.text || '', config.chat.maxReplyQuoteLength)
+        };
+    }
+
+    /**
+     * @param options - poll options (answers) to vote for
+     */
+    setPollFact(question: string, options: string[], pollOptions: PollOptions = {}) {
+        this.systemData = {
+            action: 'poll',
+            question,
+            options,
+            multiChoice: !!pollOptions.multiChoice,
+            hideVoters: !!pollOptions.hideVoters,
+            closesAt: pollOptions.closesAt ? pollOptions.closesAt.valueOf() : null
+        };
+    }
+
+    /**
+     * Stops poll from accepting votes. Only poll creator can close it.
+     */
+    closePoll(): Promise<void> {
+        if (!this.isPoll || !this.id || this.sender.username !== User.current.username) {
+            return Promise.reject(new Error('Only poll creator can close the poll.'));
+        }
+        if (this.pollClosedAt) return Promise.resolve();
+        const chat = getChatStore().chatMap[this.db.id];
+        if (chat && chat.isReadOnly) {
+            return Promise.reject(new Error('Can not close poll in read-only chat.'));
+        }
+        const closedAt = Date.now();
+        this.systemData = Object.assign({}, this.systemData, { closedAt });
+        this.pollClosedAt = new Date(closedAt);
+        return this.saveToServer().catch(err => {
+            console.error('Error closing poll', err);
+            const systemData = Object.assign({}, this.systemData);
+            delete systemData.closedAt;
+            this.systemData = systemData;
+            this.pollClosedAt = null;
+            return Promise.reject(err);
+        });
+    }
+
     /**
      * Sends a message containing jitsi link to the channel
      */
@@ -244,6 +787,7 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
      */
     async parseExternalContent() {
         this.externalImages.clear();
+        this.externalMedia.clear();
         const settings = clientApp.uiUserPrefs;
         // it's not nice to run regex on every message,
         // but we'll remove this with richText release
@@ -254,15 +798,21 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
             return;
         }
 
-        if (settings.externalContentJustForFavs && !this.sender.isMe) {
+        const policy = User.current.linkPreviewPolicy;
+        let senderTrusted = true;
+        if (
+            (settings.externalContentJustForFavs || (policy && policy.trustedSendersOnly)) &&
+            !this.sender.isMe
+        ) {
             await this.sender.ensureLoaded(); // need to make sure this contact is in fav list
-            if (!this.sender.isAdded) return;
+            senderTrusted = this.sender.isAdded;
+            if (settings.externalContentJustForFavs && !senderTrusted) return;
         }
 
         urls = Array.from(new Set(urls)); // deduplicate
         if (urls.length > config.unfurl.maxLinks) urls = urls.slice(0, config.unfurl.maxLinks);
         // Note: launching all promises at once, not awaiting sequentially.
-        urls.forEach(url => processUrl(url).then(this._processExternalContent));
+        urls.forEach(url => processUrl(url, senderTrusted).then(this._processExternalContent));
     }
 
     protected _processExternalContent = (externalContent: ExternalContent) => {
@@ -271,6 +821,8 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
             this.externalWebsites.push(externalContent);
         } else if (externalContent.type === 'image') {
             this.externalImages.push(externalContent);
+        } else if (externalContent.type === 'video' || externalContent.type === 'audio') {
+            this.externalMedia.push(externalContent);
         }
     };
 
@@ -291,6 +843,11 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
             timestamp: this.timestamp.valueOf(),
             userMentions: this.userMentions
         };
+        // recipients ignore group mentions of non-admins anyway
+        const groupMentions = this.isAdminInChat(User.current.username)
+            ? getGroupMentions(this.text)
+            : [];
+        if (groupMentions.length) ret.groupMentions = groupMentions;
         if (this.files) ret.files = JSON.stringify(this.files);
         if (this.folders) ret.folders = JSON.stringify(this.folders);
         if (this.systemData) {
@@ -299,30 +856,117 @@ export default class Message extends Keg<MessagePayload, MessageProps> {
         if (this.richText) {
             ret.richText = this.richText;
         }
+        if (this.replyTo) {
+            ret.replyTo = this.replyTo;
+        }
+        if (this.forwardedFrom) {
+            ret.forwardedFrom = this.forwardedFrom;
+        }
+        if (this.expiresAt) {
+            ret.expiresAt = this.expiresAt.valueOf();
+        }
+        if (this.edited) {
+            ret.editedAt = this.editedAt.valueOf();
+            ret.editHistory = this._editHistory.slice();
+        }
         return ret;
     }
 
     deserializeKegPayload(payload) {
+        this._cachePayload = payload;
         this.sender = contactStore.getContact(this.owner);
         this.text = payload.text;
         this.richText = payload.richText;
         this.systemData = payload.systemData;
+        this.pollClosedAt =
+            this.systemData && this.systemData.closedAt ? new Date(this.systemData.closedAt) : null;
         this.timestamp = new Date(payload.timestamp);
         this.userMentions = payload.userMentions;
         this.files = payload.files ? JSON.parse(payload.files) : null;
         this.folders = payload.folders ? JSON.parse(payload.folders) : null;
-        /**
-         * Does this message mention current user.
-         */
-        this.isMention = this.userMentions
-            ? this.userMentions.includes(User.current.username)
-            : false;
+        this.replyTo = payload.replyTo || null;
+        this.forwardedFrom = payload.forwardedFrom || null;
+        this.expiresAt = payload.expiresAt ? new Date(payload.expiresAt) : null;
+        this.edited = !!payload.editedAt;
+        this.editedAt = payload.editedAt ? new Date(payload.editedAt) : null;
+        this._editHistory = observable.array(payload.editHistory || [], { deep: false });
+        this.groupMentions = this.getEffectiveGroupMentions(payload.groupMentions);
+    }
+
+    /**
+     * @returns data for local message cache or null if message can't be cached yet.
+     *          Self-destructing messages are never cached, decrypted copy would outlive them on disk.
+     */
+    serializeForCache(): CachedMessageData {
+        // signature is verified asynchronously after load, we don't cache unverified messages
+        if (!this.id || !this.loaded || !this._cachePayload || this.signatureError === null) {
+            return null;
+        }
+        if (this.expiresAt) return null;
+        return {
+            kegId: this.id,
+            version: this.version,
+            format: this.format,
+            collectionVersion: this.collectionVersion,
+            owner: this.owner,
+            createdAt: this.kegCreatedAt,
+            updatedAt: this.kegUpdatedAt,
+            signatureError: this.signatureError,
+            payload: this._cachePayload
+        };
+    }
+
+    /**
+     * Loads message from local cache, data is already decrypted and verified.
+     */
+    @action
+    loadFromCache(data: CachedMessageData) {
+        this.id = data.kegId;
+        this.version = data.version;
+        this.format = data.format;
+        this.collectionVersion = data.collectionVersion;
+        this.owner = data.owner;
+        this.kegCreatedAt = data.createdAt;
+        this.kegUpdatedAt = data.updatedAt;
+        this.deserializeKegPayload(data.payload);
+        this.signatureError = data.signatureError;
+        this.loaded = true;
+        return this;
+    }
+
+    /**
+     * Only admins can use group mentions, in DMs both participants are considered admins.
+     */
+    protected isAdminInChat(username: string) {
+        const db = this.db as SharedKegDb;
+        if (!db.isChannel) return true;
+        return db.admins.some(a => a.username === username);
+    }
+
+    protected getEffectiveGroupMentions(groupMentions: GroupMention[]): GroupMention[] {
+        if (!groupMentions || !groupMentions.length || this.systemData) return [];
+        if (!this.isAdminInChat(this.owner)) return [];
+        return groupMentions.filter(m => m === 'channel' || m === 'admins');
+    }
+
+    /**
+     * Deletes message keg.
+     */
+    remove() {
+        if (!this.id) return Promise.resolve();
+        return retryUntilSuccess(() => super.remove(), {
+            id: `remove message ${this.id} from ${this.db.id}`,
+            maxRetries: 5
+        }).then(() => {
+            this.deleted = true;
+        });
     }
 
     serializeProps() {
         const ret: MessageProps = {};
         // for future server notifications
         if (this.systemData) ret.systemAction = this.systemData.action;
+        if (this.replyTo) ret.replyTo = this.replyTo.kegId;
         return ret;
     }
 
@@ -0,0 +1,95 @@
+import { observable } from 'mobx';
+import SyncedKeg from '../kegs/synced-keg';
+import { getUser } from '../../helpers/di-current-user';
+import { IKegDb } from '../../defs/interfaces';
+import { QuietHours, ChatNotificationSettings } from '../../helpers/notification-rules';
+
+interface NotificationSettingsPayload {
+    chats: { [chatId: string]: ChatNotificationSettings };
+    keywords: string[];
+    quietHours: QuietHours;
+}
+interface NotificationSettingsProps {}
+
+/**
+ * Notification preferences shared by all user's devices:
+ * per-chat mute and mentions-only mode, keywords to alert on and quiet hours.
+ */
+export default class NotificationSettings extends SyncedKeg<
+    NotificationSettingsPayload,
+    NotificationSettingsProps
+> {
+    constructor() {
+        super('notification_settings', getUser().kegDb as IKegDb);
+    }
+
+    /**
+     * Settings by chat id, chats with default settings are not listed.
+     */
+    @observable.ref chats: { [chatId: string]: ChatNotificationSettings } = {};
+    @observable.ref keywords: string[] = [];
+    @observable.ref quietHours: QuietHours = { enabled: false, start: 22 * 60, end: 8 * 60 };
+
+    serializeKegPayload() {
+        return {
+            chats: this.chats,
+            keywords: this.keywords,
+            quietHours: this.quietHours
+        };
+    }
+
+    deserializeKegPayload(payload: NotificationSettingsPayload) {
+        this.chats = payload.chats || {};
+        this.keywords = payload.keywords || [];
+        if (payload.quietHours) this.quietHours = payload.quietHours;
+    }
+
+    getChatSettings(chatId: string): ChatNotificationSettings {
+        return this.chats[chatId] || {};
+    }
+
+    /**
+     * Merges changes into chat settings, removing the entry when everything is back to default.
+     */
+    setChatSettings(chatId: string, changes: ChatNotificationSettings) {
+        return this.save(
+            () => {
+                const settings = Object.assign({}, this.getChatSettings(chatId), changes);
+                const chats = Object.assign({}, this.chats);
+                if (!settings.muted && !settings.mutedUntil && !settings.mentionsOnly) {
+                    delete chats[chatId];
+                } else {
+                    chats[chatId] = settings;
+                }
+                this.chats = chats;
+                return true;
+            },
+            null,
+            'error_notificationSettingsSave'
+        );
+    }
+
+    setKeywords(keywords: string[]) {
+        return this.save(
+            () => {
+                this.keywords = Array.from(
+                    new Set((keywords || []).map(k => k.trim()).filter(k => !!k))
+                );
+                return true;
+            },
+            null,
+            'error_notificationSettingsSave'
+        );
+    }
+
+    setQuietHours(quietHours: QuietHours) {
+        return this.save(
+            () => {
+                this.quietHours = Object.assign({}, quietHours);
+                return true;
+            },
+            null,
+            'error_notificationSettingsSave'
+        );
+    }
+}
@@ -0,0 +1,53 @@
+import { observable, IObservableArray } from 'mobx';
+import Keg from '../kegs/keg';
+import ChatKegDb from '../kegs/chat-keg-db';
+import { IKegDb } from '../../defs/interfaces';
+
+interface PollVotePayload {
+    pollId: string;
+    choices: number[];
+}
+interface PollVoteProps {}
+
+/**
+ * Holds vote of one user in one poll. Named keg, names contain poll message id and username.
+ */
+export default class PollVote extends Keg<PollVotePayload, PollVoteProps> {
+    constructor(pollId: string, username: string, db: ChatKegDb) {
+        super(
+            pollId && username ? `poll_vote-${pollId}-${username}` : null,
+            'poll_vote',
+            db as IKegDb,
+            false,
+            false,
+            true
+        );
+        this.pollId = pollId;
+    }
+
+    /**
+     * Id of the poll message this vote is for
+     */
+    pollId: string;
+    /**
+     * Indexes of chosen poll options. Empty if vote was retracted.
+     */
+    @observable.shallow choices = [] as IObservableArray<number>;
+    /**
+     * true if this keg's name doesn't match keg owner or poll id.
+     */
+    voteError: boolean;
+
+    serializeKegPayload() {
+        return { pollId: this.pollId, choices: this.choices.slice() };
+    }
+
+    deserializeKegPayload(payload) {
+        this.pollId = payload.pollId;
+        this.choices = observable.array(payload.choices || [], { deep: false });
+    }
+
+    afterLoad = () => {
+        this.voteError = this.id !== `poll_vote-${this.pollId}-${this.owner}`;
+    };
+}
@@ -0,0 +1,192 @@
+import { observable, IObservableArray } from 'mobx';
+import SyncedKeg from '../kegs/synced-keg';
+import { getUser } from '../../helpers/di-current-user';
+import { IKegDb } from '../../defs/interfaces';
+import * as cryptoUtil from '../../crypto/util';
+import config from '../../config';
+
+export interface ScheduledMessage {
+    id: string;
+    chatId: string;
+    text: string;
+    files?: string[];
+    /** timestamp */
+    sendAt: number;
+    createdAt: number;
+    /** id of the client session that is sending this message right now */
+    claimedBy?: string;
+    claimedAt?: number;
+    /** sending failed, message won't be sent again until it's updated */
+    failed?: boolean;
+    /** message was sent, item is waiting to be removed */
+    sent?: boolean;
+}
+
+interface ScheduledMessagesPayload {
+    items: ScheduledMessage[];
+}
+interface ScheduledMessagesProps {}
+
+// identifies this client among all user's devices and app instances
+const sessionId = cryptoUtil.getRandomShortIdHex();
+
+/**
+ * Scheduled messages keg holds messages user has written in advance, for all chats.
+ * Items are immutable objects, every change replaces the item, so the list can be observed.
+ */
+export default class ScheduledMessages extends SyncedKeg<
+    ScheduledMessagesPayload,
+    ScheduledMessagesProps
+> {
+    constructor() {
+        super('scheduled_messages', getUser().kegDb as IKegDb);
+    }
+
+    @observable.shallow items = [] as IObservableArray<ScheduledMessage>;
+
+    serializeKegPayload() {
+        return {
+            items: this.items.slice()
+        };
+    }
+
+    deserializeKegPayload(payload: ScheduledMessagesPayload) {
+        this.items.replace(payload.items || []);
+    }
+
+    getItem(id: string) {
+        return this.items.find(i => i.id === id);
+    }
+
+    /**
+     * True if item is due for sending and no other client is sending it.
+     */
+    isDue(item: ScheduledMessage, now: number) {
+        if (item.sent || item.failed || item.sendAt > now) return false;
+        // if client claimed the message but didn't send it in time, another client can try
+        return !item.claimedBy || now - item.claimedAt > config.chat.scheduledMessageClaimTimeout;
+    }
+
+    protected _replaceItem(id: string, changes: Partial<ScheduledMessage>) {
+        const ind = this.items.findIndex(i => i.id === id);
+        if (ind < 0) return false;
+        this.items[ind] = Object.assign({}, this.items[ind], changes);
+        return true;
+    }
+
+    addItem(chatId: string, text: string, sendAt: number, files?: string[]) {
+        const item: ScheduledMessage = {
+            id: cryptoUtil.getRandomShortIdHex(),
+            chatId,
+            text,
+            files,
+            sendAt,
+            createdAt: Date.now()
+        };
+        return this.save(
+            () => {
+                this.items.push(item);
+                return true;
+            },
+            null,
+            'error_scheduleMessage'
+        ).then(() => item);
+    }
+
+    /**
+     * Changes text, time or files of the message unless it's being sent already.
+     * Failed message will be sent again after update.
+     */
+    updateItem(id: string, changes: { text?: string; sendAt?: number; files?: string[] }) {
+        return this.save(
+            () => {
+                const item = this.getItem(id);
+                if (!item || item.claimedBy) return false;
+                return this._replaceItem(id, Object.assign({}, changes, { failed: false }));
+            },
+            null,
+            'error_scheduleMessage'
+        );
+    }
+
+    /**
+     * Cancels scheduled message unless it's being sent already.
+     */
+    cancelItem(id: string) {
+        return this.save(
+            () => {
+                const item = this.getItem(id);
+                if (!item || item.claimedBy) return false;
+                this.items.remove(item);
+                return true;
+            },
+            null,
+            'error_cancelScheduledMessage'
+        );
+    }
+
+    /**
+     * Marks item as being sent by this client. Keg version check guarantees only one client succeeds.
+     * @returns true if this client is now responsible for sending the message
+     */
+    claimItem(id: string): Promise<boolean> {
+        let claimed = false;
+        return this.save(() => {
+            const item = this.getItem(id);
+            if (!item || !this.isDue(item, Date.now())) return false;
+            claimed = this._replaceItem(id, { claimedBy: sessionId, claimedAt: Date.now() });
+            return claimed;
+        })
+            .then(() => claimed)
+            .catch(err => {
+                // most likely another client has updated the keg, we'll see the fresh data on next check
+                console.error('Failed to claim scheduled message', id, err);
+                return false;
+            });
+    }
+
+    /**
+     * Returns claimed item back to the queue, for example when sending failed.
+     */
+    releaseItem(id: string) {
+        return this.save(() => {
+            const item = this.getItem(id);
+            if (!item || item.claimedBy !== sessionId) return false;
+            return this._replaceItem(id, { claimedBy: null, claimedAt: null });
+        });
+    }
+
+    /**
+     * Marks claimed item as failed, so it stays in the list without being sent again.
+     */
+    failItem(id: string) {
+        return this.save(() => {
+            const item = this.getItem(id);
+            if (!item || item.claimedBy !== sessionId) return false;
+            return this._replaceItem(id, { claimedBy: null, claimedAt: null, failed: true });
+        });
+    }
+
+    /**
+     * Marks claimed item as sent, so it's not sent again even if removing it fails.
+     */
+    markItemSent(id: string) {
+        return this.save(() => {
+            const item = this.getItem(id);
+            if (!item || item.sent) return false;
+            return this._replaceItem(id, { claimedBy: null, claimedAt: null, sent: true });
+        });
+    }
+
+    /**
+     * Removes item that has been sent.
+     */
+    removeItem(id: string) {
+        return this.save(() => {
+            const item = this.getItem(id);
+            if (!item) return false;
+            this.items.remove(item);
+            return true;
+        });
+    }
+}
@@ -0,0 +1,246 @@
+import { computed, observable, action } from 'mobx';
+import config from '../../config';
+import { ChatStore } from './chat-store';
+import Chat from './chat';
+import Contact from '../contacts/contact';
+import warnings from '../warnings';
+
+export type SpaceRoomType = 'internal' | 'patient';
+
+/**
+ * Result of an operation applied to all rooms of a space.
+ * Operation continues after a room fails, so some rooms can succeed and some can fail.
+ */
+export interface SpaceOperationResult {
+    succeeded: Chat[];
+    failed: Array<{ room: Chat; error: Error }>;
+}
+
+/**
+ * Space is a group of rooms (channels). Space doesn't have its own keg,
+ * space id, name and description are stored in chat heads of its rooms.
+ * A space without rooms exists only locally until the first room is created in it.
+ */
+export default class Space {
+    constructor(store: ChatStore) {
+        this.store = store;
+    }
+
+    @observable spaceId = '';
+    @observable spaceName = '';
+    @observable spaceDescription = '';
+    store: ChatStore;
+
+    @computed
+    get allRooms(): Chat[] {
+        return this.store.allRooms
+            .filter(c => c.isInSpace)
+            .filter(c => c.chatHead.spaceId === this.spaceId);
+    }
+
+    @computed
+    get internalRooms() {
+        return this.allRooms.filter(c => c.chatHead.spaceRoomType === 'internal');
+    }
+
+    @computed
+    get patientRooms() {
+        return this.allRooms.filter(c => c.chatHead.spaceRoomType === 'patient');
+    }
+
+    @observable isNew = false;
+
+    countUnread = (count, room) => count + room.unreadCount;
+    @computed
+    get unreadCount() {
+        const internalRoomsUnread = this.internalRooms.reduce(this.countUnread, 0);
+        const patientRoomsUnread = this.patientRooms.reduce(this.countUnread, 0);
+
+        return internalRoomsUnread + patientRoomsUnread;
+    }
+
+    /**
+     * True while an operation on all rooms of this space is running.
+     */
+    @observable operationInProgress = false;
+    /**
+     * Number of rooms processed by current operation.
+     */
+    @observable progress = 0;
+    /**
+     * Number of rooms current operation will process.
+     */
+    @observable progressMax = 0;
+
+    /**
+     * Chat name of a room in this space. Space admins see rooms by `nameInSpace`, others - by chat name.
+     */
+    getRoomChatName(nameInSpace: string, spaceName = this.spaceName) {
+        return `${spaceName} - ${nameInSpace}`;
+    }
+
+    /**
+     * Creates a new channel in this space.
+     */
+    createRoom(roomName: string, roomType: SpaceRoomType, participants: Contact[]) {
+        return this.store.spaces.createRoomInSpace(
+            {
+                spaceId: this.spaceId,
+                spaceName: this.spaceName,
+                spaceDescription: this.spaceDescription
+            },
+            roomName,
+            roomType,
+            participants
+        );
+    }
+
+    /**
+     * Changes space name and description in all rooms.
+     * Rooms that were named by space naming convention are renamed too.
+     */
+    rename(name: string, description = this.spaceDescription): Promise<SpaceOperationResult> {
+        const spaceName = (name || '').trim().substr(0, config.chat.maxChatNameLength);
+        if (!spaceName) return Promise.reject(new Error('Space name can not be empty.'));
+        const spaceDescription = (description || '')
+            .trim()
+            .substr(0, config.chat.maxChatPurposeLength);
+        const oldName = this.spaceName;
+        return this.runOnRooms(this.allRooms, async room => {
+            await room.setSpace(this.getRoomSpaceData(room, { spaceName, spaceDescription }), null);
+            const { nameInSpace } = room.chatHead;
+            if (
+                nameInSpace &&
+                room.chatHead.chatName === this.getRoomChatName(nameInSpace, oldName)
+            ) {
+                await room.rename(this.getRoomChatName(nameInSpace, spaceName));
+            }
+        }).then(
+            action((result: SpaceOperationResult) => {
+                if (!result.failed.length) {
+                    this.spaceName = spaceName;
+                    this.spaceDescription = spaceDescription;
+                }
+                return result;
+            })
+        );
+    }
+
+    /**
+     * Adds a contact to all rooms of this space.
+     */
+    addMember(contact: Contact): Promise<SpaceOperationResult> {
+        return this.runOnRooms(
+            this.allRooms.filter(room => !room.allParticipants.includes(contact)),
+            room => room.addParticipants([contact])
+        );
+    }
+
+    /**
+     * Removes a contact from all rooms of this space.
+     */
+    removeMember(contact: Contact): Promise<SpaceOperationResult> {
+        return this.runOnRooms(
+            this.allRooms.filter(room => room.allParticipants.includes(contact)),
+            room => room.removeParticipant(contact)
+        );
+    }
+
+    /**
+     * Moves a channel into this space, from another space or from outside of spaces.
+     * @param roomType - keeps current room type if not specified, new rooms are 'internal' by default
+     */
+    moveRoom(room: Chat, roomType?: SpaceRoomType): Promise<void> {
+        if (!room.isChannel || !room.canIAdmin) {
+            return Promise.reject(new Error('Only channel admins can move channels to spaces.'));
+        }
+        if (room.isInSpace && room.chatHead.spaceId === this.spaceId) {
+            return Promise.resolve();
+        }
+        const { chatHead } = room;
+        const nameInSpace = chatHead.nameInSpace || room.name;
+        const oldChatName =
+            chatHead.spaceName && chatHead.nameInSpace
+                ? this.getRoomChatName(chatHead.nameInSpace, chatHead.spaceName)
+                : null;
+        return room
+            .setSpace(
+                this.getRoomSpaceData(room, {
+                    nameInSpace,
+                    spaceRoomType: roomType || chatHead.spaceRoomType || 'internal'
+                })
+            )
+            .then(() => {
+                if (oldChatName && chatHead.chatName === oldChatName) {
+                    return room.rename(this.getRoomChatName(nameInSpace));
+                }
+                return null;
+            });
+    }
+
+    /**
+     * Deletes all rooms of this space, which deletes the space.
+     */
+    delete(): Promise<SpaceOperationResult> {
+        return this.runOnRooms(this.allRooms, room => room.delete(true)).then(result => {
+            if (!result.failed.length) this.store.spaces.forgetSpace(this.spaceId);
+            return result;
+        });
+    }
+
+    protected getRoomSpaceData(room: Chat, overrides: { [key: string]: string }) {
+        return Object.assign(
+            {
+                spaceId: this.spaceId,
+                spaceName: this.spaceName,
+                spaceDescription: this.spaceDescription || '',
+                nameInSpace: room.chatHead.nameInSpace || '',
+                spaceRoomType: room.chatHead.spaceRoomType
+            },
+            overrides
+        );
+    }
+
+    /**
+     * Applies the operation to the rooms one by one, reporting progress.
+     * Rooms current user can't administer are reported as failed.
+     */
+    protected async runOnRooms(
+        rooms: Chat[],
+        fn: (room: Chat) => PromiseLike<unknown>
+    ): Promise<SpaceOperationResult> {
+        if (this.operationInProgress) {
+            throw new Error('Another operation is in progress for this space.');
+        }
+        const result: SpaceOperationResult = { succeeded: [], failed: [] };
+        this.operationInProgress = true;
+        this.progress = 0;
+        this.progressMax = rooms.length;
+        try {
+            for (const room of rooms) {
+                try {
+                    if (!room.canIAdmin)
+                        throw new Error('Current user is not an admin of this room.');
+                    await fn(room);
+                    result.succeeded.push(room);
+                } catch (error) {
+                    console.error(
+                        `Space ${this.spaceId} operation failed for room ${room.id}`,
+                        error
+                    );
+                    result.failed.push({ room, error });
+                }
+                this.progress++;
+            }
+        } finally {
+            this.operationInProgress = false;
+        }
+        if (result.failed.length) {
+            warnings.add('error_spaceOperationFailed', null, {
+                failed: result.failed.length,
+                total: rooms.length
+            });
+        }
+        return result;
+    }
+}
@@ -23,6 +23,8 @@ import { asPromise } from '../../helpers/prombservable';
 import { retryUntilSuccess } from '../../helpers/retry';
 import ContactStoreWhitelabel from './contact-store.whitelabel';
 import { InvitedContact } from '../../defs/interfaces';
+import { parseVerificationPayload, getSigningKeyHash } from '../../helpers/contact-verification';
+import { InvalidArgumentError, FingerprintMismatchError } from '../../errors';
 
 /**
  * Contact store handles all Peerio users you(your app) are in some contact with,
@@ -441,6 +443,27 @@ export class ContactStore {
         return c;
     }
 
+    /**
+     * Verifies contact with payload scanned from their QR code, see `Contact.verificationPayload`.
+     * Adds contact to contact list if it's not there yet.
+     * @throws {InvalidArgumentError} payload is not a verification payload
+     * @throws {FingerprintMismatchError} contact's keys don't match the payload
+     */
+    async verifyFromQrPayload(payload: string): Promise<Contact> {
+        const data = parseVerificationPayload(payload);
+        if (!data) throw new InvalidArgumentError('Invalid contact verification payload.');
+        const contact = this.getContactAndSave(data.username);
+        await contact.ensureLoaded();
+        if (contact.notFound) throw new Error(`Contact ${data.username} is not found.`);
+        // compares with the keys seen before, not just with what server returns
+        await contact.loadTofu();
+        if (contact.tofuError || getSigningKeyHash(contact.signingPublicKey) !== data.keyHash) {
+            throw new FingerprintMismatchError();
+        }
+        await contact.markVerified();
+        return contact;
+    }
+
     /**
      * Sends an invite
      */
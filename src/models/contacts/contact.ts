@@ -10,6 +10,7 @@ import { t } from '../../copy/t';
 import clientApp from '../client-app';
 import { getContactStore } from '../../helpers/di-contact-store';
 import ContactColors from './contact.colors';
+import { createVerificationPayload } from '../../helpers/contact-verification';
 // @ts-ignore to support desktop declarations emit until monorepo
 import Bluebird from 'bluebird';
 
@@ -201,6 +202,33 @@ export default class Contact {
             .replace(/ /g, () => (i++ === 2 ? '\n' : ' '));
     }
 
+    /**
+     * Signing key current user has verified in person, b64 encoded. Stored in Tofu keg.
+     */
+    @observable verifiedSigningPublicKey: string = null;
+    @observable verifiedAt: Date = null;
+
+    /**
+     * Current user has verified this contact's fingerprint in person.
+     * Turns false by itself when contact's keys change after verification.
+     */
+    @computed
+    get isVerified(): boolean {
+        if (!this.verifiedSigningPublicKey || !this.signingPublicKey || this.tofuError)
+            return false;
+        return this.verifiedSigningPublicKey === cryptoUtil.bytesToB64(this.signingPublicKey);
+    }
+
+    /**
+     * Payload to show as QR code, so other users can verify this contact with
+     * `contactStore.verifyFromQrPayload()`. Usually shown for own contact.
+     */
+    @computed
+    get verificationPayload(): string {
+        if (!this.signingPublicKey) return null;
+        return createVerificationPayload(this.username, this.signingPublicKey);
+    }
+
     /**
      * Server said it couldn't find a user (by username or email).
      */
@@ -208,6 +236,7 @@ export default class Contact {
 
     // to avoid parallel queries
     _waitingForResponse = false;
+    _loadingTofu: Promise<void> = null;
 
     static smartRequestQueue: Array<{
         username: string;
@@ -324,7 +353,9 @@ export default class Contact {
      */
     loadTofu(): Promise<void> {
         // console.log('Loading tofu:', this.username);
-        return tofuStore.getByUsername(this.username).then(
+        // parallel calls could create several Tofu kegs for the contact
+        if (this._loadingTofu) return this._loadingTofu;
+        this._loadingTofu = tofuStore.getByUsername(this.username).then(
             // TODO: tofu raw keg type
             action((tofu: any) => {
                 this._waitingForResponse = false;
@@ -352,9 +383,55 @@ export default class Contact {
                 // todo: this works only until we implement key change feature
                 this.encryptionPublicKey = cryptoUtil.b64ToBytes(tofu.encryptionPublicKey);
                 this.signingPublicKey = cryptoUtil.b64ToBytes(tofu.signingPublicKey);
+                this.applyVerification(tofu);
                 return null;
             })
         );
+        return this._loadingTofu.finally(() => {
+            this._loadingTofu = null;
+        });
+    }
+
+    /**
+     * Records in Tofu keg that current user has compared fingerprints with this contact in person.
+     */
+    markVerified(): Promise<void> {
+        return this.setVerified(true);
+    }
+
+    unmarkVerified(): Promise<void> {
+        return this.setVerified(false);
+    }
+
+    protected async setVerified(verified: boolean) {
+        await this.ensureLoaded();
+        if (this.notFound || !this.signingPublicKey) {
+            throw new Error(`Contact ${this.username} is not found.`);
+        }
+        if (this.isMe) throw new Error('Can not verify own contact.');
+        if (verified && this.tofuError) {
+            throw new Error(`Keys of ${this.username} changed, can not verify.`);
+        }
+        if (verified === this.isVerified) return;
+        // makes sure Tofu keg exists
+        await this.loadTofu();
+        const tofu = await tofuStore.loadKeg(this.username);
+        if (!tofu) throw new Error(`Tofu keg for ${this.username} not found.`);
+        const key = cryptoUtil.bytesToB64(this.signingPublicKey);
+        if (verified && tofu.signingPublicKey !== key) {
+            throw new Error(`Keys of ${this.username} changed, can not verify.`);
+        }
+        tofu.verifiedSigningPublicKey = verified ? key : null;
+        tofu.verifiedAt = verified ? Date.now() : null;
+        await tofu.saveToServer();
+        tofuStore.cacheTofu(tofu);
+        this.applyVerification(tofu);
+    }
+
+    @action
+    protected applyVerification(tofu: { verifiedSigningPublicKey?: string; verifiedAt?: number }) {
+        this.verifiedSigningPublicKey = tofu.verifiedSigningPublicKey || null;
+        this.verifiedAt = tofu.verifiedAt ? new Date(tofu.verifiedAt) : null;
     }
 
     /**
@@ -116,7 +116,14 @@ export class TofuStore {
         if (cached) {
             return cached; // it's not a keg, but we currently use it only for a few properties (when loaded from cache)
         }
+        return this.loadKeg(username);
+    }
 
+    /**
+     * Loads Tofu keg from server skipping cache, use it when keg needs to be saved.
+     * @returns tofu keg, if any
+     */
+    async loadKeg(username: string): Promise<Tofu> {
         let resp;
         try {
             resp = await retryUntilSuccess(
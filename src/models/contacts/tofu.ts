@@ -8,6 +8,8 @@ interface TofuPayload {
     lastName: string;
     encryptionPublicKey: string;
     signingPublicKey: string;
+    verifiedSigningPublicKey?: string;
+    verifiedAt?: number;
 }
 interface TofuProps {
     username: string;
@@ -25,6 +27,12 @@ export default class Tofu extends Keg<TofuPayload, TofuProps> {
     lastName: string;
     encryptionPublicKey: string; // b64 encoded
     signingPublicKey: string; // b64 encoded
+    /**
+     * Signing key user has verified in person, b64 encoded.
+     * Verification doesn't apply anymore when contact's key is different.
+     */
+    verifiedSigningPublicKey: string = null;
+    verifiedAt: number = null;
 
     serializeKegPayload() {
         return {
@@ -32,7 +40,9 @@ export default class Tofu extends Keg<TofuPayload, TofuProps> {
             firstName: this.firstName,
             lastName: this.lastName,
             encryptionPublicKey: this.encryptionPublicKey,
-            signingPublicKey: this.signingPublicKey
+            signingPublicKey: this.signingPublicKey,
+            verifiedSigningPublicKey: this.verifiedSigningPublicKey,
+            verifiedAt: this.verifiedAt
         };
     }
 
@@ -43,6 +53,8 @@ export default class Tofu extends Keg<TofuPayload, TofuProps> {
         this.lastName = payload.lastName;
         this.encryptionPublicKey = payload.encryptionPublicKey;
         this.signingPublicKey = payload.signingPublicKey;
+        this.verifiedSigningPublicKey = payload.verifiedSigningPublicKey || null;
+        this.verifiedAt = payload.verifiedAt || null;
     }
 
     serializeProps() {
@@ -33,3 +33,24 @@ export { Volume };
 
 import ReadReceipt from './chats/read-receipt';
 export { ReadReceipt };
+
+import MessageReactions from './chats/message-reactions';
+export { MessageReactions };
+
+import ChatThread from './chats/chat-thread';
+export { ChatThread };
+
+import ChatDrafts from './chats/chat-drafts';
+export { ChatDrafts };
+
+import ScheduledMessages from './chats/scheduled-messages';
+export { ScheduledMessages };
+
+import PollVote from './chats/poll-vote';
+export { PollVote };
+
+import NotificationSettings from './chats/notification-settings';
+export { NotificationSettings };
+
+import Space from './chats/space';
+export { Space };
@@ -233,6 +233,16 @@ export default class Keg<TPayload, TProps extends {} = {}> {
             return this.internalSave().finally(this.resetSavingState);
         }
 
+        return this.createOnServer()
+            .then(() => this.internalSave())
+            .finally(this.resetSavingState);
+    }
+
+    /**
+     * Creates empty server keg to reserve an id, doesn't save any data.
+     * Use it when id has to be known (and persisted) before the data is saved.
+     */
+    protected createOnServer(): Promise<void> {
         return socket
             .send(
                 '/auth/kegs/create',
@@ -246,9 +256,7 @@ export default class Keg<TPayload, TProps extends {} = {}> {
                 this.id = resp.kegId;
                 this.version = resp.version;
                 this.collectionVersion = resp.collectionVersion;
-                return this.internalSave();
-            })
-            .finally(this.resetSavingState);
+            });
     }
 
     /**
@@ -19,6 +19,16 @@ interface ISharedDbBootKegPayload {
 }
 interface ISharedDbBootKegProps {}
 
+/**
+ * Roles a shared db participant can have, one role at most. Participants without a role are regular members.
+ * - admin: full control over participants, roles and settings
+ * - moderator: can remove messages and participants, can't change admins
+ * - readonly: can read, can't post or share files
+ */
+export type SharedDbRole = 'admin' | 'moderator' | 'readonly';
+
+export const SHARED_DB_ROLES: SharedDbRole[] = ['admin', 'moderator', 'readonly'];
+
 interface IEncryptedKeys {
     [keyId: string]: {
         createdAt: number;
@@ -50,7 +60,8 @@ interface IEncryptedKeys {
  *   publicKey: b64 encoded buffer, // public key from the encrypting ephemeral pair
  *   roles: {
  *      admin: ["username", "username1", ...],
- *      some_role_we_will_want_later: ["username"]
+ *      moderator: ["username2"],
+ *      readonly: ["username3"]
  *   },
  *   // object key = incremental key id
  *   encryptedKeys: {
@@ -144,6 +155,16 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
      */
     @observable.shallow admins = [] as IObservableArray<Contact>;
 
+    /**
+     * Subset of `this.participants`.
+     */
+    @observable.shallow moderators = [] as IObservableArray<Contact>;
+
+    /**
+     * Subset of `this.participants`.
+     */
+    @observable.shallow readonlyMembers = [] as IObservableArray<Contact>;
+
     /**
      * Gives access to shared DB keys to a contact.
      */
@@ -187,7 +208,8 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
      */
     removeUnsavedKey() {
         const ids = Object.keys(this.keys).map(id => +id);
-        const maxId = ids.length ? Math.max(...ids) + 1 : 0;
+        if (!ids.length) return;
+        const maxId = Math.max(...ids);
         if (+this.kegKeyId < maxId) {
             delete this.keys[maxId.toString()];
             this.dirty = false;
@@ -224,30 +246,53 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
         this.kegKeyId = maxId;
     }
 
+    protected getRoleMembers(role: SharedDbRole): IObservableArray<Contact> {
+        switch (role) {
+            case 'admin':
+                return this.admins;
+            case 'moderator':
+                return this.moderators;
+            case 'readonly':
+                return this.readonlyMembers;
+            default:
+                throw new Error(`Unsupported role: ${role}`);
+        }
+    }
+
+    /**
+     * @returns role of the participant or null for regular members
+     */
+    getRole(contact: Contact): SharedDbRole {
+        return SHARED_DB_ROLES.find(role => this.getRoleMembers(role).includes(contact)) || null;
+    }
+
     /**
-     * Assigns a role to shared db participant
+     * Assigns a role to shared db participant, replacing the role participant had before.
      * @param contact - contact to assign a role to
-     * @param role - currently can be only 'admin'
      */
-    assignRole(contact: Contact, role: string) {
-        if (role !== 'admin') throw new Error('Only admin role is currently supported');
-        if (!this.admins.includes(contact)) {
-            // should not happen, but just to be safe
-            const duplicate = this.admins.filter(d => d.username === contact.username);
-            duplicate.forEach(d => this.admins.remove(d));
+    assignRole(contact: Contact, role: SharedDbRole) {
+        const members = this.getRoleMembers(role);
+        if (members.includes(contact)) return;
+        SHARED_DB_ROLES.forEach(r => {
+            if (r !== role) this.unassignRole(contact, r);
+        });
+        // should not happen, but just to be safe
+        const duplicate = members.filter(d => d.username === contact.username);
+        duplicate.forEach(d => members.remove(d));
 
-            this.admins.push(contact);
-        }
+        members.push(contact);
     }
     /**
      * Removes role from a participant
      */
-    unassignRole(contact: Contact, role: string) {
-        if (role !== 'admin') throw new Error('Only admin role is currently supported.');
+    unassignRole(contact: Contact, role: SharedDbRole) {
+        const members = this.getRoleMembers(role);
         // we do it this way to prevent potential errors around contacts that failed to load for whatever reason,
-        if (!this.admins.includes(contact)) return;
-        if (this.admins.length < 2) throw new Error('Can not remove last admin from boot keg.');
-        this.admins.remove(contact);
+        if (!members.includes(contact)) return;
+        if (role === 'admin' && this.admins.length < 2) {
+            throw new Error('Can not remove last admin from boot keg.');
+        }
+        members.remove(contact);
     }
 
     deserializeKegPayload(data) {
@@ -287,10 +332,13 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
         // decoding
         data.publicKey = cryptoUtil.b64ToBytes(data.publicKey);
         // parsing roles
-        this.admins.clear();
-        data.roles.admin.forEach(username => {
-            this.admins.push(getContactStore().getContactAndSave(username));
-        }, this);
+        SHARED_DB_ROLES.forEach(role => {
+            const members = this.getRoleMembers(role);
+            members.clear();
+            (data.roles[role] || []).forEach(username => {
+                members.push(getContactStore().getContactAndSave(username));
+            });
+        });
 
         // we iterate key history and decrypt keys that were encrypted for our user
         for (const keyId in data.encryptedKeys) {
@@ -313,6 +361,8 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
         // todo: throw fatal error to stop retries
         if (kegKeyObj) this.kegKey = kegKeyObj.key;
         this.kegKeyId = maxKeyId;
+        // unsaved key, if there was one, is gone now
+        this.dirty = false;
         // we extract participant list from the current key object
         this.participants = observable.array(
             Object.keys(data.encryptedKeys[maxKeyId].keys).map(username =>
@@ -327,7 +377,10 @@ class SharedDbBootKeg extends SyncedKeg<ISharedDbBootKegPayload, ISharedDbBootKe
         const ephemeralKeyPair = cryptoKeys.generateEncryptionKeyPair();
         const ret = {} as ISharedDbBootKegPayload;
         ret.publicKey = cryptoUtil.bytesToB64(ephemeralKeyPair.publicKey);
-        ret.roles = { admin: this.admins.map(c => c.username) };
+        ret.roles = {};
+        SHARED_DB_ROLES.forEach(role => {
+            ret.roles[role] = this.getRoleMembers(role).map(c => c.username);
+        });
         const k = (ret.encryptedKeys = {});
         for (const id in this.keys) {
             const keyData = this.keys[id];
@@ -126,6 +126,22 @@ class SharedKegDb implements IKegDb {
         return (this.boot && this.boot.admins) || [];
     }
 
+    /**
+     * Just a mirror of this.boot.moderators
+     */
+    @computed
+    get moderators(): Contact[] {
+        return (this.boot && this.boot.moderators) || [];
+    }
+
+    /**
+     * Just a mirror of this.boot.readonlyMembers
+     */
+    @computed
+    get readonlyMembers(): Contact[] {
+        return (this.boot && this.boot.readonlyMembers) || [];
+    }
+
     /**
      * All participants except current user.
      * This will be used to create chat, if passed.
@@ -0,0 +1,152 @@
+import { observable, computed } from 'mobx';
+import SyncedKeg from '../kegs/synced-keg';
+import {
+    LinkPreviewPolicyRules,
+    defaultLinkPreviewPolicy,
+    normalizeDomain
+} from '../../helpers/unfurl/policy';
+
+interface LinkPreviewPolicyPayload {
+    allowedDomains: string[];
+    deniedDomains: string[];
+    trustedSendersOnly: boolean;
+    maxImageSize: number;
+    stripTrackingParams: boolean;
+}
+interface LinkPreviewPolicyProps {}
+
+/**
+ * Link preview privacy rules shared by all user's devices.
+ * Applied on top of `clientApp.uiUserPrefs.externalContentEnabled` which turns previews off completely.
+ */
+class LinkPreviewPolicy extends SyncedKeg<LinkPreviewPolicyPayload, LinkPreviewPolicyProps> {
+    constructor(user) {
+        super('link_preview_policy', user.kegDb);
+    }
+
+    @observable.ref allowedDomains: string[] = [];
+    @observable.ref deniedDomains: string[] = [];
+    @observable trustedSendersOnly = defaultLinkPreviewPolicy.trustedSendersOnly;
+    @observable maxImageSize = defaultLinkPreviewPolicy.maxImageSize;
+    @observable stripTrackingParams = defaultLinkPreviewPolicy.stripTrackingParams;
+
+    @computed
+    get rules(): LinkPreviewPolicyRules {
+        return {
+            allowedDomains: this.allowedDomains,
+            deniedDomains: this.deniedDomains,
+            trustedSendersOnly: this.trustedSendersOnly,
+            maxImageSize: this.maxImageSize,
+            stripTrackingParams: this.stripTrackingParams
+        };
+    }
+
+    serializeKegPayload() {
+        return this.rules;
+    }
+
+    deserializeKegPayload(payload: LinkPreviewPolicyPayload) {
+        this.allowedDomains = payload.allowedDomains || [];
+        this.deniedDomains = payload.deniedDomains || [];
+        this.trustedSendersOnly = !!payload.trustedSendersOnly;
+        this.maxImageSize = payload.maxImageSize || 0;
+        this.stripTrackingParams = payload.stripTrackingParams !== false;
+    }
+
+    /**
+     * Always fetch previews from this domain and its subdomains, removes it from denied domains.
+     */
+    allowDomain(domain: string) {
+        return this.setDomainList(domain, true);
+    }
+
+    /**
+     * Never fetch previews from this domain and its subdomains, removes it from allowed domains.
+     */
+    denyDomain(domain: string) {
+        return this.setDomainList(domain, false);
+    }
+
+    /**
+     * Removes domain from both lists.
+     */
+    resetDomain(domain: string) {
+        const normalized = normalizeDomain(domain);
+        if (!normalized) return Promise.reject(new Error(`Invalid domain: ${domain}`));
+        return this.save(
+            () => {
+                const allowed = this.allowedDomains.filter(d => d !== normalized);
+                const denied = this.deniedDomains.filter(d => d !== normalized);
+                if (
+                    allowed.length === this.allowedDomains.length &&
+                    denied.length === this.deniedDomains.length
+                ) {
+                    return false;
+                }
+                this.allowedDomains = allowed;
+                this.deniedDomains = denied;
+                return true;
+            },
+            null,
+            'error_linkPreviewPolicySave'
+        );
+    }
+
+    setTrustedSendersOnly(value: boolean) {
+        return this.save(
+            () => {
+                this.trustedSendersOnly = value;
+                return true;
+            },
+            null,
+            'error_linkPreviewPolicySave'
+        );
+    }
+
+    /**
+     * @param bytes - 0 to remove the limit
+     */
+    setMaxImageSize(bytes: number) {
+        if (!(bytes >= 0)) return Promise.reject(new Error(`Invalid image size limit: ${bytes}`));
+        return this.save(
+            () => {
+                this.maxImageSize = Math.floor(bytes);
+                return true;
+            },
+            null,
+            'error_linkPreviewPolicySave'
+        );
+    }
+
+    setStripTrackingParams(value: boolean) {
+        return this.save(
+            () => {
+                this.stripTrackingParams = value;
+                return true;
+            },
+            null,
+            'error_linkPreviewPolicySave'
+        );
+    }
+
+    protected setDomainList(domain: string, allow: boolean) {
+        const normalized = normalizeDomain(domain);
+        if (!normalized) return Promise.reject(new Error(`Invalid domain: ${domain}`));
+        return this.save(
+            () => {
+                const target = allow ? this.allowedDomains : this.deniedDomains;
+                const other = allow ? this.deniedDomains : this.allowedDomains;
+                if (target.includes(normalized) && !other.includes(normalized)) return false;
+                const newTarget = target.includes(normalized) ? target : [...target, normalized];
+                const newOther = other.filter(d => d !== normalized);
+                this.allowedDomains = allow ? newTarget : newOther;
+                this.deniedDomains = allow ? newOther : newTarget;
+                return true;
+            },
+            null,
+            'error_linkPreviewPolicySave'
+        );
+    }
+}
+
+export default LinkPreviewPolicy;
@@ -9,6 +9,7 @@ import socket from '../../network/socket';
 import validators from '../../helpers/validation/user-validators';
 import contactStore from '../contacts/contact-store';
 import AccountVersion from './account-version';
+import LinkPreviewPolicy from './link-preview-policy';
 import { getFileStore } from '../../helpers/di-file-store';
 import User from './user';
 import Beacons from './beacons';
@@ -21,6 +22,7 @@ export default function mixUserProfileModule(this: User) {
     const _beaconsKeg = new Beacons(this);
     const _quotaKeg = new Quota(this);
     this.accountVersionKeg = new AccountVersion(this);
+    this.linkPreviewPolicy = new LinkPreviewPolicy(this);
     this.settings = new Settings(this);
 
     when(
@@ -22,6 +22,7 @@ import {
 } from '../../defs/interfaces';
 import AccountVersion from './account-version';
 import Settings from './settings';
+import LinkPreviewPolicy from './link-preview-policy';
 
 // @ts-ignore to support desktop declarations emit until monorepo
 import Bluebird from 'bluebird';
@@ -67,6 +68,7 @@ export default class User {
     hasPasscode: () => Promise<boolean>;
     signout: (untrust?: boolean) => Promise<void>;
     accountVersionKeg: AccountVersion;
+    linkPreviewPolicy: LinkPreviewPolicy;
     settings: Settings;
     loadSettings: () => void;
     saveSettings: (updateFunction: (settingsKeg: Settings) => void) => Promise<void>;
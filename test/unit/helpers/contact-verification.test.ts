@@ -0,0 +1,48 @@
+import {
+    createVerificationPayload,
+    parseVerificationPayload,
+    getSigningKeyHash
+} from '~/helpers/contact-verification';
+
+describe('Contact verification helper should', () => {
+    const key = new Uint8Array(32).map((_, i) => i);
+    const otherKey = new Uint8Array(32).map((_, i) => i + 1);
+
+    it('hash signing keys', () => {
+        const hash = getSigningKeyHash(key);
+        hash.should.match(/^[0-9a-f]{32}$/);
+        getSigningKeyHash(key).should.equal(hash);
+        getSigningKeyHash(otherKey).should.not.equal(hash);
+    });
+
+    it('create payload that parses back', () => {
+        const payload = createVerificationPayload('alice', key);
+        payload.should.equal(`peerio-verify:1:alice:${getSigningKeyHash(key)}`);
+        parseVerificationPayload(payload).should.deep.equal({
+            username: 'alice',
+            keyHash: getSigningKeyHash(key)
+        });
+    });
+
+    it('normalize case and whitespace', () => {
+        const hash = getSigningKeyHash(key);
+        parseVerificationPayload(
+            ` peerio-verify:1:Alice:${hash.toUpperCase()}\n`
+        ).should.deep.equal({ username: 'alice', keyHash: hash });
+    });
+
+    it('reject invalid payloads', () => {
+        const hash = getSigningKeyHash(key);
+        [
+            null,
+            '',
+            'https://example.com',
+            `peerio-verify:2:alice:${hash}`,
+            `other:1:alice:${hash}`,
+            `peerio-verify:1::${hash}`,
+            `peerio-verify:1:al ice:${hash}`,
+            'peerio-verify:1:alice:1234',
+            `peerio-verify:1:alice:${hash}:extra`
+        ].forEach(payload => (parseVerificationPayload(payload) === null).should.be.true);
+    });
+});
@@ -0,0 +1,50 @@
+import { isInQuietHours, isChatMuted, findKeyword } from '~/helpers/notification-rules';
+
+describe('Notification rules helper should', () => {
+    const at = (hours: number, minutes = 0) => new Date(2020, 0, 1, hours, minutes);
+
+    it('ignore disabled quiet hours', () => {
+        isInQuietHours({ enabled: false, start: 0, end: 23 * 60 }, at(12)).should.be.false;
+    });
+
+    it('detect quiet hours within a day', () => {
+        const quietHours = { enabled: true, start: 13 * 60, end: 14 * 60 + 30 };
+        isInQuietHours(quietHours, at(13)).should.be.true;
+        isInQuietHours(quietHours, at(14, 29)).should.be.true;
+        isInQuietHours(quietHours, at(14, 30)).should.be.false;
+        isInQuietHours(quietHours, at(12, 59)).should.be.false;
+    });
+
+    it('detect quiet hours spanning midnight', () => {
+        const quietHours = { enabled: true, start: 22 * 60, end: 8 * 60 };
+        isInQuietHours(quietHours, at(23)).should.be.true;
+        isInQuietHours(quietHours, at(0)).should.be.true;
+        isInQuietHours(quietHours, at(7, 59)).should.be.true;
+        isInQuietHours(quietHours, at(8)).should.be.false;
+        isInQuietHours(quietHours, at(21, 59)).should.be.false;
+    });
+
+    it('detect muted chats', () => {
+        const now = Date.now();
+        isChatMuted(null, now).should.be.false;
+        isChatMuted({}, now).should.be.false;
+        isChatMuted({ muted: true }, now).should.be.true;
+        isChatMuted({ mutedUntil: now + 1000 }, now).should.be.true;
+        isChatMuted({ mutedUntil: now - 1000 }, now).should.be.false;
+        isChatMuted({ mentionsOnly: true }, now).should.be.false;
+    });
+
+    it('find keywords as whole words ignoring case', () => {
+        const keywords = ['deploy', 'Release notes'];
+        findKeyword('Time to DEPLOY!', keywords).should.equal('deploy');
+        findKeyword('see release notes, please', keywords).should.equal('Release notes');
+        (findKeyword('redeployed', keywords) === null).should.be.true;
+        (findKeyword('deployment', keywords) === null).should.be.true;
+    });
+
+    it('return null when there are no keywords', () => {
+        (findKeyword('deploy', []) === null).should.be.true;
+        (findKeyword('', ['deploy']) === null).should.be.true;
+        (findKeyword('deploy', ['  ']) === null).should.be.true;
+    });
+});
@@ -0,0 +1,143 @@
+import { markdownToRichText } from '~/helpers/rich-text/markdown';
+import {
+    richTextToMarkdown,
+    richTextToPlainText,
+    richTextToHTML
+} from '~/helpers/rich-text/serialize';
+
+describe('Rich text helper should', () => {
+    const paragraph = (...content) => ({ type: 'paragraph', content });
+    const text = (t: string, ...marks: string[]) =>
+        marks.length
+            ? { type: 'text', text: t, marks: marks.map(type => ({ type })) }
+            : { type: 'text', text: t };
+
+    it('parse empty markdown to a document with empty paragraph', () => {
+        markdownToRichText('').should.deep.equal({ type: 'doc', content: [{ type: 'paragraph' }] });
+    });
+
+    it('parse inline formatting', () => {
+        const doc = markdownToRichText('**bold** _em_ ~~gone~~ `x*y`');
+        doc.content.should.deep.equal([
+            paragraph(
+                text('bold', 'strong'),
+                text(' '),
+                text('em', 'em'),
+                text(' '),
+                text('gone', 'strike'),
+                text(' '),
+                text('x*y', 'code')
+            )
+        ]);
+    });
+
+    it('parse nested marks', () => {
+        const doc = markdownToRichText('**a _b_ c**');
+        doc.content.should.deep.equal([
+            paragraph(text('a ', 'strong'), text('b', 'strong', 'em'), text(' c', 'strong'))
+        ]);
+    });
+
+    it('not treat underscores inside words as emphasis', () => {
+        const doc = markdownToRichText('snake_case_name');
+        doc.content.should.deep.equal([paragraph(text('snake_case_name'))]);
+    });
+
+    it('parse links, autolinks and mentions', () => {
+        const doc = markdownToRichText('[site](https://a.com) see https://b.com/x. @Alice');
+        doc.content.should.deep.equal([
+            paragraph(
+                {
+                    type: 'text',
+                    text: 'site',
+                    marks: [{ type: 'link', attrs: { href: 'https://a.com' } }]
+                },
+                text(' see '),
+                {
+                    type: 'text',
+                    text: 'https://b.com/x',
+                    marks: [{ type: 'link', attrs: { href: 'https://b.com/x' } }]
+                },
+                text('. '),
+                { type: 'mention', attrs: { username: 'alice' } }
+            )
+        ]);
+    });
+
+    it('not link unsafe urls', () => {
+        const doc = markdownToRichText('[x](javascript:alert)');
+        doc.content.should.deep.equal([paragraph(text('[x](javascript:alert)'))]);
+    });
+
+    it('turn single line breaks into hard breaks', () => {
+        const doc = markdownToRichText('one\ntwo\n\nthree');
+        doc.content.should.deep.equal([
+            paragraph(text('one'), { type: 'hard_break' }, text('two')),
+            paragraph(text('three'))
+        ]);
+    });
+
+    it('parse blocks', () => {
+        const doc = markdownToRichText('# Title\n\n> quote\n\n```\ncode **not bold**\n```\n\n---');
+        doc.content.should.deep.equal([
+            { type: 'heading', attrs: { level: 1 }, content: [text('Title')] },
+            { type: 'blockquote', content: [paragraph(text('quote'))] },
+            { type: 'code_block', content: [text('code **not bold**')] },
+            { type: 'horizontal_rule' }
+        ]);
+    });
+
+    it('parse nested lists', () => {
+        const doc = markdownToRichText('3. first\n   - sub\n4. second');
+        doc.content.should.deep.equal([
+            {
+                type: 'ordered_list',
+                attrs: { order: 3 },
+                content: [
+                    {
+                        type: 'list_item',
+                        content: [
+                            paragraph(text('first')),
+                            {
+                                type: 'bullet_list',
+                                content: [{ type: 'list_item', content: [paragraph(text('sub'))] }]
+                            }
+                        ]
+                    },
+                    { type: 'list_item', content: [paragraph(text('second'))] }
+                ]
+            }
+        ]);
+    });
+
+    it('convert rich text back to the same markdown', () => {
+        const md = [
+            '# Title',
+            '**a _b_ c** and `code` with [link](https://a.com) @bob',
+            '> quoted\n>\n> - item',
+            '- one\n- two\n  1. nested',
+            '```\nx = 1\n```',
+            '---'
+        ].join('\n\n');
+        richTextToMarkdown(markdownToRichText(md)).should.equal(md);
+    });
+
+    it('escape markdown characters in text', () => {
+        const doc = { type: 'doc', content: [paragraph(text('1. *not* a list #1'))] } as any;
+        const md = richTextToMarkdown(doc);
+        md.should.equal('1\\. \\*not\\* a list #1');
+        markdownToRichText(md).should.deep.equal(doc);
+    });
+
+    it('convert rich text to plain text', () => {
+        const doc = markdownToRichText('**Hi** @bob\n\n- [one](https://a.com)\n- two');
+        richTextToPlainText(doc).should.equal('Hi @bob\n- one (https://a.com)\n- two');
+    });
+
+    it('convert rich text to html', () => {
+        const doc = markdownToRichText('**a** <b>\n\n1. [x](https://a.com?a=1&b=2)');
+        richTextToHTML(doc).should.equal(
+            '<p><strong>a</strong> &lt;b&gt;</p><ol><li><p><a href="https://a.com?a=1&amp;b=2">x</a></p></li></ol>'
+        );
+    });
+});
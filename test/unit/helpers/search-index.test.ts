@@ -0,0 +1,98 @@
+import SearchIndex, { tokenize } from '~/helpers/search-index';
+
+describe('Search index helper should', () => {
+    let index: SearchIndex;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.add({ id: '1', sender: 'alice', timestamp: 1000, text: 'Hello world' });
+        index.add({ id: '2', sender: 'bob', timestamp: 2000, text: 'Hello, World! Again.' });
+        index.add({ id: '3', sender: 'alice', timestamp: 3000, text: 'Something else entirely' });
+    });
+
+    it('split text into lowercase words with positions', () => {
+        const expected = [
+            { word: 'hello', start: 0, length: 5 },
+            { word: 'world', start: 7, length: 5 }
+        ];
+        const actual = tokenize('Hello, World!');
+
+        actual.should.deep.equal(expected);
+    });
+
+    it('find documents containing all query words, newest first', () => {
+        const actual = index.search('world hello').map(r => r.id);
+
+        actual.should.deep.equal(['2', '1']);
+    });
+
+    it('match words by prefix', () => {
+        const actual = index.search('entir').map(r => r.id);
+
+        actual.should.deep.equal(['3']);
+    });
+
+    it('return positions of matching words', () => {
+        const expected = [{ start: 7, length: 5 }, { start: 14, length: 5 }];
+        const actual = index.search('wor ag')[0].matches;
+
+        actual.should.deep.equal(expected);
+    });
+
+    it('apply sender and date filters', () => {
+        index
+            .search('hello', { sender: 'alice' })
+            .map(r => r.id)
+            .should.deep.equal(['1']);
+        index
+            .search('hello', { before: 2000 })
+            .map(r => r.id)
+            .should.deep.equal(['1']);
+        index
+            .search('hello', { after: new Date(1000) })
+            .map(r => r.id)
+            .should.deep.equal(['2']);
+    });
+
+    it('replace document with the same id', () => {
+        index.add({ id: '1', sender: 'alice', timestamp: 1000, text: 'Edited text' });
+
+        index
+            .search('hello')
+            .map(r => r.id)
+            .should.deep.equal(['2']);
+        index
+            .search('edited')
+            .map(r => r.id)
+            .should.deep.equal(['1']);
+    });
+
+    it('not find removed documents', () => {
+        index.remove('2');
+
+        index
+            .search('hello')
+            .map(r => r.id)
+            .should.deep.equal(['1']);
+        index.size.should.equal(2);
+    });
+
+    it('return empty result for empty query', () => {
+        index.search('  !? ').should.deep.equal([]);
+    });
+
+    it('restore serialized index', () => {
+        const restored = SearchIndex.deserialize(JSON.parse(JSON.stringify(index.serialize())));
+
+        restored
+            .search('hello')
+            .map(r => r.id)
+            .should.deep.equal(['2', '1']);
+    });
+
+    it('refuse to restore unsupported serialization version', () => {
+        const actual = SearchIndex.deserialize({ version: 0, documents: [] });
+
+        (actual === null).should.be.true;
+    });
+});
@@ -74,7 +74,9 @@ export default [
             imageURL:
                 'https://scontent-frt3-1.xx.fbcdn.net/v/t1.0-1/p200x200/26734364_10155305616526270_8569178251406896671_n.png?_nc_cat=1&_nc_ht=scontent-frt3-1.xx&oh=cee5035a43127d2b8c03c853e2a1f55e&oe=5C67D8DD',
             faviconURL: 'https://static.xx.fbcdn.net/rsrc.php/yz/r/KFyVIAWzntM.ico',
-            siteName: 'www.facebook.com'
+            siteName: 'www.facebook.com',
+            oEmbedURL:
+                'https://www.facebook.com/plugins/page/oembed.json/?url=https%3A%2F%2Fwww.facebook.com%2FMontreal%2F'
         }
     },
     {
@@ -102,5 +104,144 @@ export default [
             imageURL: undefined,
             faviconURL: undefined
         }
+    },
+    {
+        url: 'https://www.youtube.com/watch?v=aqz-KE-bpKQ',
+        file: 'youtube.html',
+        result: {
+            title: 'Big Buck Bunny 60fps 4K - Official Blender Foundation Short Film',
+            description:
+                "The Blender Foundation's third open movie. A giant rabbit gets his revenge on three bullying rodents.",
+            siteName: 'YouTube',
+            imageURL: 'https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg',
+            faviconURL: 'https://s.ytimg.com/yts/img/favicon-vfl8qSV2F.ico',
+            oEmbedURL:
+                'https://www.youtube.com/oembed?url=https%3A%2F%2Fwww.youtube.com%2Fwatch%3Fv%3Daqz-KE-bpKQ&format=json',
+            media: {
+                mediaType: 'video',
+                providerName: 'YouTube',
+                title: 'Big Buck Bunny 60fps 4K - Official Blender Foundation Short Film',
+                embedURL: 'https://www.youtube.com/embed/aqz-KE-bpKQ',
+                thumbnailURL: 'https://i.ytimg.com/vi/aqz-KE-bpKQ/hqdefault.jpg',
+                duration: 635,
+                width: 1280,
+                height: 720
+            }
+        }
+    },
+    {
+        url: 'https://soundcloud.com/chopin-society/nocturne-op-9-no-2',
+        file: 'soundcloud.html',
+        result: {
+            title: 'Nocturne in E-flat major, Op. 9 No. 2',
+            description: 'Recorded live at the Chopin Society autumn recital.',
+            siteName: 'SoundCloud',
+            imageURL: 'https://i1.sndcdn.com/artworks-000112233445-abcdef-t500x500.jpg',
+            faviconURL: 'https://a-v2.sndcdn.com/assets/images/sc-icons/favicon-2cadd14bdb.ico',
+            oEmbedURL:
+                'https://soundcloud.com/oembed?url=https%3A%2F%2Fsoundcloud.com%2Fchopin-society%2Fnocturne-op-9-no-2&format=json',
+            media: {
+                mediaType: 'audio',
+                providerName: 'SoundCloud',
+                title: 'Nocturne in E-flat major, Op. 9 No. 2',
+                embedURL:
+                    'https://w.soundcloud.com/player/?url=https%3A%2F%2Fapi.soundcloud.com%2Ftracks%2F112233445&auto_play=false&show_artwork=true&visual=true&origin=twitter',
+                thumbnailURL: 'https://i1.sndcdn.com/artworks-000112233445-abcdef-t500x500.jpg',
+                duration: 272,
+                width: 435,
+                height: 400
+            }
+        }
+    },
+    {
+        url: 'https://spacedaily.example.com/2019/launch-replay',
+        file: 'news-video.html',
+        result: {
+            title: 'Watch: rocket launch replay',
+            description: "Replay of this morning's launch from the coast.",
+            siteName: 'Space Daily',
+            imageURL: 'https://spacedaily.example.com/media/launch-cover.jpg',
+            faviconURL: 'https://spacedaily.example.com/favicon.png',
+            media: {
+                mediaType: 'video',
+                providerName: 'Space Daily Video',
+                title: 'Rocket launch replay',
+                streamURL: 'https://cdn.spacedaily.example.com/video/launch-replay.mp4',
+                thumbnailURL: 'https://spacedaily.example.com/media/launch-thumb.jpg',
+                duration: 3723.5,
+                width: 1920,
+                height: 1080
+            }
+        }
+    }
+];
+
+export const oEmbedTestData = [
+    {
+        url:
+            'https://www.youtube.com/oembed?url=https%3A%2F%2Fwww.youtube.com%2Fwatch%3Fv%3Daqz-KE-bpKQ&format=json',
+        file: 'youtube-oembed.json',
+        result: {
+            type: 'video',
+            providerName: 'YouTube',
+            title: 'Big Buck Bunny 60fps 4K - Official Blender Foundation Short Film',
+            embedURL: 'https://www.youtube.com/embed/aqz-KE-bpKQ?feature=oembed',
+            thumbnailURL: 'https://i.ytimg.com/vi/aqz-KE-bpKQ/hqdefault.jpg',
+            width: 480,
+            height: 270
+        },
+        // media of the page this oEmbed endpoint was discovered on
+        page: 'youtube.html',
+        media: {
+            mediaType: 'video',
+            providerName: 'YouTube',
+            title: 'Big Buck Bunny 60fps 4K - Official Blender Foundation Short Film',
+            embedURL: 'https://www.youtube.com/embed/aqz-KE-bpKQ?feature=oembed',
+            thumbnailURL: 'https://i.ytimg.com/vi/aqz-KE-bpKQ/hqdefault.jpg',
+            duration: 635,
+            width: 480,
+            height: 270
+        }
+    },
+    {
+        url:
+            'https://soundcloud.com/oembed?url=https%3A%2F%2Fsoundcloud.com%2Fchopin-society%2Fnocturne-op-9-no-2&format=json',
+        file: 'soundcloud-oembed.json',
+        result: {
+            type: 'rich',
+            providerName: 'SoundCloud',
+            title: 'Nocturne in E-flat major, Op. 9 No. 2 by Chopin Society',
+            embedURL:
+                'https://w.soundcloud.com/player/?visual=true&url=https%3A%2F%2Fapi.soundcloud.com%2Ftracks%2F112233445&show_artwork=true',
+            thumbnailURL: 'https://i1.sndcdn.com/artworks-000112233445-abcdef-t500x500.jpg',
+            height: 400
+        },
+        page: 'soundcloud.html',
+        media: {
+            mediaType: 'audio',
+            providerName: 'SoundCloud',
+            title: 'Nocturne in E-flat major, Op. 9 No. 2 by Chopin Society',
+            embedURL:
+                'https://w.soundcloud.com/player/?visual=true&url=https%3A%2F%2Fapi.soundcloud.com%2Ftracks%2F112233445&show_artwork=true',
+            thumbnailURL: 'https://i1.sndcdn.com/artworks-000112233445-abcdef-t500x500.jpg',
+            duration: 272,
+            width: 435,
+            height: 400
+        }
+    },
+    {
+        url:
+            'https://www.flickr.com/services/oembed/?format=json&url=https%3A%2F%2Fwww.flickr.com%2Fphotos%2Fjdoe%2F49999999999%2F',
+        file: 'flickr-oembed.json',
+        result: {
+            type: 'photo',
+            providerName: 'Flickr',
+            title: 'Sunset over the bay',
+            width: 1024,
+            height: 683
+        },
+        // photos are not media, page without media stays without media
+        page: null,
+        media: null
     }
 ];
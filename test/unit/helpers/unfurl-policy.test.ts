@@ -0,0 +1,130 @@
+import {
+    defaultLinkPreviewPolicy,
+    normalizeDomain,
+    matchesDomain,
+    isUrlAllowed,
+    stripTrackingParams,
+    applyLinkPreviewPolicy,
+    LinkPreviewPolicyRules
+} from '~/helpers/unfurl/policy';
+import { ExternalImage, ExternalWebsite, ExternalMedia } from '~/helpers/unfurl/types';
+
+describe('Link preview policy helper should', () => {
+    const policy = (rules: Partial<LinkPreviewPolicyRules>): LinkPreviewPolicyRules =>
+        Object.assign({}, defaultLinkPreviewPolicy, rules);
+    const image = (url: string, length: number): ExternalImage => ({
+        type: 'image',
+        url,
+        length,
+        isOverInlineSizeLimit: false,
+        isOversizeCutoff: false,
+        isInsecure: false
+    });
+    const trackingParams = ['utm_*', 'fbclid'];
+
+    it('normalize domains', () => {
+        normalizeDomain(' *.Example.COM. ').should.equal('example.com');
+        normalizeDomain('.example.com').should.equal('example.com');
+        (normalizeDomain('') === null).should.be.true;
+        (normalizeDomain('*.') === null).should.be.true;
+        (normalizeDomain('https://example.com') === null).should.be.true;
+    });
+
+    it('match domains with subdomains', () => {
+        matchesDomain('example.com', 'example.com').should.be.true;
+        matchesDomain('www.Example.com', 'example.com').should.be.true;
+        matchesDomain('a.b.example.com', '*.example.com').should.be.true;
+        matchesDomain('badexample.com', 'example.com').should.be.false;
+        matchesDomain('example.com', 'www.example.com').should.be.false;
+    });
+
+    it('allow everything by default', () => {
+        isUrlAllowed('https://example.com/page', defaultLinkPreviewPolicy, false).should.be.true;
+        isUrlAllowed('not a url', defaultLinkPreviewPolicy, true).should.be.false;
+    });
+
+    it('give denied domains priority', () => {
+        const rules = policy({
+            allowedDomains: ['example.com'],
+            deniedDomains: ['ads.example.com']
+        });
+        isUrlAllowed('https://ads.example.com/x', rules, true).should.be.false;
+        isUrlAllowed('https://www.example.com/x', rules, true).should.be.true;
+    });
+
+    it('allow only trusted senders and allowed domains in trusted senders mode', () => {
+        const rules = policy({ allowedDomains: ['example.com'], trustedSendersOnly: true });
+        isUrlAllowed('https://other.com', rules, true).should.be.true;
+        isUrlAllowed('https://other.com', rules, false).should.be.false;
+        isUrlAllowed('https://example.com', rules, false).should.be.true;
+    });
+
+    it('strip tracking params', () => {
+        stripTrackingParams(
+            'https://example.com/a?id=1&utm_source=x&UTM_MEDIUM=y&fbclid=z#top',
+            trackingParams
+        ).should.equal('https://example.com/a?id=1#top');
+        stripTrackingParams('https://example.com/?fbclid=1&utm_x', trackingParams).should.equal(
+            'https://example.com/'
+        );
+        stripTrackingParams('https://example.com/?utm%5Fsource=1', trackingParams).should.equal(
+            'https://example.com/'
+        );
+    });
+
+    it('keep urls without tracking params intact', () => {
+        const url = 'https://example.com/a?b=1&c=%zz#d?utm_source=1';
+        stripTrackingParams(url, trackingParams).should.equal(url);
+        stripTrackingParams('https://example.com/a', trackingParams).should.equal(
+            'https://example.com/a'
+        );
+    });
+
+    it('drop images over size limit', () => {
+        const rules = policy({ maxImageSize: 1000 });
+        (applyLinkPreviewPolicy(image('https://example.com/a.png', 1001), rules) === null).should.be
+            .true;
+        applyLinkPreviewPolicy(image('https://example.com/a.png', 1000), rules).should.be.ok;
+        applyLinkPreviewPolicy(image('https://example.com/a.png', 0), rules).should.be.ok;
+    });
+
+    it('drop parts of website preview hosted on denied domains', () => {
+        const website: ExternalWebsite = {
+            type: 'html',
+            url: 'https://example.com',
+            siteName: 'Example',
+            favicon: image('https://example.com/favicon.ico', 10),
+            image: image('https://cdn.tracker.com/image.png', 10),
+            imageAlt: 'alt'
+        };
+        const ret = applyLinkPreviewPolicy(
+            website,
+            policy({ deniedDomains: ['tracker.com'] })
+        ) as ExternalWebsite;
+        ret.favicon.should.equal(website.favicon);
+        (ret.image === undefined).should.be.true;
+        (ret.imageAlt === undefined).should.be.true;
+        website.image.should.be.ok;
+    });
+
+    it('drop media preview when nothing is left to play', () => {
+        const media: ExternalMedia = {
+            type: 'video',
+            url: 'https://example.com/watch',
+            providerName: 'Example',
+            embedURL: 'https://player.example.com/embed/1',
+            thumbnail: image('https://example.com/thumb.jpg', 10)
+        };
+        const denied = applyLinkPreviewPolicy(
+            media,
+            policy({ deniedDomains: ['player.example.com'] })
+        );
+        (denied === null).should.be.true;
+        applyLinkPreviewPolicy(media, policy({ maxImageSize: 5 })).should.deep.equal({
+            type: 'video',
+            url: 'https://example.com/watch',
+            providerName: 'Example',
+            embedURL: 'https://player.example.com/embed/1'
+        });
+    });
+});
@@ -1,7 +1,16 @@
 import * as fs from 'fs';
 import * as path from 'path';
-import { parseHTML } from '../../../src/helpers/unfurl/parse';
-import testData from './unfurl-data';
+import {
+    parseHTML,
+    parseOEmbed,
+    getMediaWithOEmbed,
+    parseISODuration
+} from '../../../src/helpers/unfurl/parse';
+import testData, { oEmbedTestData } from './unfurl-data';
+
+function readPage(file: string) {
+    return fs.readFileSync(path.join(__dirname, 'unfurl-data', file)).toString();
+}
 
 describe('Unfurl', () => {
     it('parseHTML', () => {
@@ -11,4 +20,47 @@ describe('Unfurl', () => {
             result.should.deep.equal(data.result);
         }
     });
+
+    it('parseOEmbed', () => {
+        for (const data of oEmbedTestData) {
+            const result = parseOEmbed(data.url, readPage(data.file));
+            result.should.deep.equal(data.result);
+        }
+    });
+
+    it('parseOEmbed returns null for invalid data', () => {
+        const url = 'https://example.com/oembed';
+        (parseOEmbed(url, '<html></html>') === null).should.be.true;
+        (parseOEmbed(url, '{"type":"unknown","title":"x"}') === null).should.be.true;
+        (parseOEmbed(url, 'null') === null).should.be.true;
+    });
+
+    it('getMediaWithOEmbed', () => {
+        for (const data of oEmbedTestData) {
+            const oEmbed = parseOEmbed(data.url, readPage(data.file));
+            const page = data.page ? testData.find(d => d.file === data.page) : null;
+            const pageMedia = page ? parseHTML(page.url, readPage(page.file)).media : null;
+            const result = getMediaWithOEmbed(oEmbed, pageMedia);
+            if (data.media === null) {
+                (result === null).should.be.true;
+            } else {
+                result.should.deep.equal(data.media);
+            }
+        }
+    });
+
+    it('getMediaWithOEmbed ignores rich oEmbed on pages without media', () => {
+        const data = oEmbedTestData.find(d => d.file === 'soundcloud-oembed.json');
+        const oEmbed = parseOEmbed(data.url, readPage(data.file));
+        (getMediaWithOEmbed(oEmbed, null) === null).should.be.true;
+    });
+
+    it('parseISODuration', () => {
+        parseISODuration('PT10M35S').should.equal(635);
+        parseISODuration('PT1H2M3.5S').should.equal(3723.5);
+        parseISODuration('P1DT1S').should.equal(86401);
+        (parseISODuration('10:35') === undefined).should.be.true;
+        (parseISODuration('PT0S') === undefined).should.be.true;
+        (parseISODuration(635) === undefined).should.be.true;
+    });
 });
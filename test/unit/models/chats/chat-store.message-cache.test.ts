@@ -0,0 +1,123 @@
+import config from '~/config';
+import MemoryCacheEngine from '~/db/memory-cache-engine';
+import { setUser } from '~/helpers/di-current-user';
+import * as cryptoUtil from '~/crypto/util';
+import ChatStoreMessageCache from '~/models/chats/chat-store.message-cache';
+import Message from '~/models/chats/message';
+
+describe('Chat message cache should', () => {
+    const db = { id: 'chat:1', isChannel: false };
+    let chat;
+    let cache: ChatStoreMessageCache;
+
+    function createMessage(id: string, payload = {}) {
+        return new Message(db as any).loadFromCache({
+            kegId: id,
+            version: 2,
+            format: 1,
+            collectionVersion: id,
+            owner: 'bob',
+            createdAt: 1000,
+            updatedAt: 1000,
+            signatureError: false,
+            payload: { text: `text ${id}`, timestamp: 1000, userMentions: [], ...payload }
+        });
+    }
+
+    function save() {
+        return (cache as any).saveChatPage(chat);
+    }
+
+    before(() => {
+        config.CacheEngine = MemoryCacheEngine as any;
+        setUser({ username: 'alice', kegDb: { key: cryptoUtil.getRandomBytes(32) } } as any);
+    });
+
+    beforeEach(() => {
+        MemoryCacheEngine.setStorage({});
+        chat = {
+            id: 'chat:1',
+            db,
+            initialPageLoaded: true,
+            canGoUp: false,
+            canGoDown: false,
+            messages: [createMessage('1'), createMessage('2')],
+            _messageHandler: { downloadedUpdateId: '2' }
+        };
+        cache = new ChatStoreMessageCache({ chatMap: { 'chat:1': chat } } as any);
+    });
+
+    it('return null when there is no cached page', async () => {
+        ((await cache.loadPage(chat)) === null).should.be.true;
+    });
+
+    it('restore saved page', async () => {
+        await save();
+        const page = await cache.loadPage(chat);
+        page.downloadedUpdateId.should.equal('2');
+        page.canGoUp.should.be.false;
+        page.messages.map(m => m.id).should.deep.equal(['1', '2']);
+        page.messages.map(m => m.text).should.deep.equal(['text 1', 'text 2']);
+        page.messages[1].owner.should.equal('bob');
+        page.messages[1].loaded.should.be.true;
+        page.messages[1].signatureError.should.be.false;
+    });
+
+    it('not store messages in plain text', async () => {
+        await save();
+        JSON.stringify(await cache.cache.getValue('chat:1')).should.not.contain('text 1');
+    });
+
+    it('not save self-destructing messages', async () => {
+        chat.messages.push(createMessage('3', { expiresAt: Date.now() + 60000 }));
+        await save();
+        const page = await cache.loadPage(chat);
+        page.messages.map(m => m.id).should.deep.equal(['1', '2']);
+    });
+
+    it('skip messages that were not sent yet', async () => {
+        const queued = new Message(db as any);
+        queued.text = 'queued';
+        chat.messages.push(queued);
+        await save();
+        const page = await cache.loadPage(chat);
+        page.messages.map(m => m.id).should.deep.equal(['1', '2']);
+    });
+
+    it('postpone saving while signatures are not verified', async () => {
+        let rescheduled = false;
+        cache.savePage = () => {
+            rescheduled = true;
+        };
+        chat.messages[1].signatureError = null;
+        await save();
+        rescheduled.should.be.true;
+        ((await cache.loadPage(chat)) === null).should.be.true;
+    });
+
+    it('not save page that does not end with the most recent message', async () => {
+        chat.canGoDown = true;
+        await save();
+        ((await cache.loadPage(chat)) === null).should.be.true;
+    });
+
+    it('drop expired messages on load and allow loading them from server', async () => {
+        await save();
+        const record = await cache.cache.getValue('chat:1');
+        const page = (cache as any).decrypt(record.data);
+        page.messages[0].payload.expiresAt = 1;
+        await cache.cache.setValue('chat:1', {
+            chatId: 'chat:1',
+            data: (cache as any).encrypt(page)
+        });
+        const loaded = await cache.loadPage(chat);
+        loaded.messages.map(m => m.id).should.deep.equal(['2']);
+        loaded.canGoUp.should.be.true;
+    });
+
+    it('remove page of the chat', async () => {
+        await save();
+        await cache.removeChat('chat:1');
+        ((await cache.loadPage(chat)) === null).should.be.true;
+    });
+});
@@ -0,0 +1,65 @@
+import config from '~/config';
+import MemoryCacheEngine from '~/db/memory-cache-engine';
+import { setUser } from '~/helpers/di-current-user';
+import * as cryptoUtil from '~/crypto/util';
+import ChatStoreOutbox from '~/models/chats/chat-store.outbox';
+import Message from '~/models/chats/message';
+
+describe('Chat outbox should', () => {
+    let storage;
+    let queued: Message[];
+    const db = { id: 'chat:1' };
+    const chat = {
+        id: 'chat:1',
+        db,
+        addQueuedMessage: (m: Message) => queued.push(m)
+    };
+    const store = {
+        chatMap: { 'chat:1': chat },
+        addChat: () => chat,
+        getChatWhenReady: () => Promise.resolve(chat)
+    };
+
+    before(() => {
+        config.CacheEngine = MemoryCacheEngine as any;
+        setUser({ username: 'alice', kegDb: { key: cryptoUtil.getRandomBytes(32) } } as any);
+    });
+
+    beforeEach(() => {
+        storage = {};
+        MemoryCacheEngine.setStorage(storage);
+        queued = [];
+    });
+
+    async function queueAndRestore(kegId?: string) {
+        const m = new Message(db as any);
+        m.text = 'hello';
+        m.prepareForSending();
+        if (kegId) {
+            m.id = kegId;
+            m.version = 1;
+        }
+        await new ChatStoreOutbox(store as any).add(chat as any, m);
+        queued = [];
+        // next session
+        await new ChatStoreOutbox(store as any).open();
+        while (!queued.length) await Promise.delay(10);
+        return queued[0];
+    }
+
+    it('restore message that was not sent yet', async () => {
+        const m = await queueAndRestore();
+        m.text.should.equal('hello');
+        m.queued.should.be.true;
+        (m.id === null).should.be.true;
+        m.version.should.equal(0);
+    });
+
+    it('restore keg id obtained by previous attempt', async () => {
+        const m = await queueAndRestore('message:abc');
+        m.text.should.equal('hello');
+        m.queued.should.be.true;
+        m.id.should.equal('message:abc');
+        m.version.should.equal(1);
+    });
+});
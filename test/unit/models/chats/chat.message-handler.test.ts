@@ -0,0 +1,153 @@
+import { observable } from 'mobx';
+import ChatMessageHandler from '~/models/chats/chat.message-handler';
+
+interface FakeKeg {
+    kegId: string;
+    createdAt: number;
+    collectionVersion: string;
+    deleted?: boolean;
+}
+
+describe('Chat message handler should', () => {
+    let kegs: FakeKeg[];
+    let requests: number;
+    let chat;
+    let handler: ChatMessageHandler;
+
+    // message kegs with ids from the list, created at id * 1000
+    function setKegs(ids: number[]) {
+        kegs = ids.map(id => ({
+            kegId: id.toString(),
+            createdAt: id * 1000,
+            collectionVersion: `v${id}`
+        }));
+    }
+
+    // paging up returns kegs older than fromKegId, newest first, paging down includes fromKegId
+    function fetchPage(pagingUp: boolean, fromKegId?: string, count = 30) {
+        requests++;
+        let list = kegs.slice();
+        if (pagingUp) {
+            list.reverse();
+            if (fromKegId) list = list.filter(k => +k.kegId < +fromKegId);
+        } else if (fromKegId) {
+            list = list.filter(k => +k.kegId >= +fromKegId);
+        }
+        return Promise.resolve({ kegs: list.slice(0, count), hasMore: list.length > count });
+    }
+
+    beforeEach(() => {
+        kegs = [];
+        requests = 0;
+        chat = {
+            id: 'chat:1',
+            messages: observable.array([{ id: 'old' }], { deep: false }),
+            _messageMap: { old: {} },
+            canGoUp: false,
+            canGoDown: false,
+            loadingTopPage: false,
+            loadingBottomPage: false,
+            loadingInitialPage: false,
+            initialPageLoaded: false,
+            addedKegs: null,
+            addMessages(list) {
+                this.addedKegs = list;
+                return Promise.resolve();
+            }
+        };
+        handler = Object.create(ChatMessageHandler.prototype);
+        handler.chat = chat;
+        handler.downloadedUpdateId = '';
+        handler.fetchPage = fetchPage;
+    });
+
+    describe('find message by date', () => {
+        it('return null in empty chat', async () => {
+            ((await handler.findKegIdByDate(new Date(5000))) === null).should.be.true;
+        });
+
+        it('return newest message when all messages are older', async () => {
+            setKegs([1, 2, 3]);
+            (await handler.findKegIdByDate(new Date(10000))).should.equal('3');
+        });
+
+        it('return message sent at the date', async () => {
+            setKegs([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            (await handler.findKegIdByDate(new Date(4000))).should.equal('4');
+            (await handler.findKegIdByDate(new Date(1000))).should.equal('1');
+            (await handler.findKegIdByDate(new Date(10000))).should.equal('10');
+        });
+
+        it('return first message sent after the date', async () => {
+            setKegs([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            (await handler.findKegIdByDate(new Date(4500))).should.equal('5');
+            (await handler.findKegIdByDate(new Date(0))).should.equal('1');
+        });
+
+        it('skip gaps in keg ids', async () => {
+            setKegs([2, 3, 10, 11, 12, 30, 31, 50]);
+            (await handler.findKegIdByDate(new Date(4000))).should.equal('10');
+            (await handler.findKegIdByDate(new Date(13000))).should.equal('30');
+            (await handler.findKegIdByDate(new Date(31000))).should.equal('31');
+            (await handler.findKegIdByDate(new Date(32000))).should.equal('50');
+            (await handler.findKegIdByDate(new Date(1000))).should.equal('2');
+        });
+
+        it('load logarithmic number of kegs', async () => {
+            const ids = [];
+            for (let i = 1; i <= 1000; i++) ids.push(i);
+            setKegs(ids);
+            (await handler.findKegIdByDate(new Date(700500))).should.equal('701');
+            requests.should.be.at.most(12);
+        });
+    });
+
+    describe('load page around message', () => {
+        beforeEach(() => {
+            const ids = [];
+            for (let i = 1; i <= 100; i++) ids.push(i);
+            setKegs(ids);
+        });
+
+        it('replace loaded messages with the page centered on the message', async () => {
+            (await handler.loadPageAround('50')).should.be.true;
+            const ids = chat.addedKegs.map(k => +k.kegId).sort((a, b) => a - b);
+            ids[0].should.equal(30);
+            ids[ids.length - 1].should.equal(69);
+            ids.length.should.equal(40);
+            chat.messages.length.should.equal(0);
+            chat._messageMap.should.deep.equal({});
+            chat.canGoUp.should.be.true;
+            chat.canGoDown.should.be.true;
+            chat.initialPageLoaded.should.be.true;
+            handler.downloadedUpdateId.should.equal('v69');
+        });
+
+        it('reach the end of the chat', async () => {
+            (await handler.loadPageAround('95')).should.be.true;
+            chat.addedKegs.map(k => +k.kegId).should.include(100);
+            chat.canGoUp.should.be.true;
+            chat.canGoDown.should.be.false;
+        });
+
+        it('cancel loading of other pages', async () => {
+            chat.loadingTopPage = true;
+            chat.loadingBottomPage = true;
+            await handler.loadPageAround('50');
+            chat._cancelTopPageLoad.should.be.true;
+            chat._cancelBottomPageLoad.should.be.true;
+        });
+
+        it('return false when there is no such message', async () => {
+            (await handler.loadPageAround('500')).should.be.false;
+            (chat.addedKegs === null).should.be.true;
+            chat.messages.length.should.equal(1);
+        });
+
+        it('return false when message is deleted', async () => {
+            kegs[49].deleted = true;
+            (await handler.loadPageAround('50')).should.be.false;
+            (chat.addedKegs === null).should.be.true;
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import { observable } from 'mobx';
+import User from '~/models/user/user';
+import Message from '~/models/chats/message';
+import MessageReactions from '~/models/chats/message-reactions';
+import ChatReactionHandler from '~/models/chats/chat.reaction-handler';
+
+describe('Chat reaction handler should', () => {
+    const db = { id: 'chat:1' };
+    let handler: ChatReactionHandler;
+    let message: Message;
+
+    function reactions(username: string, version: number, emojis: string[], messageId = '10') {
+        const keg = new MessageReactions(messageId, username, db as any);
+        keg.owner = username;
+        keg.version = version;
+        keg.emojis = observable.array(emojis, { deep: false });
+        keg.reactionsError = false;
+        keg.signatureError = false;
+        return keg;
+    }
+
+    function getReactions() {
+        return message.reactions.toJSON();
+    }
+
+    before(() => {
+        User.current = { username: 'alice' } as any;
+    });
+
+    after(() => {
+        User.current = null;
+    });
+
+    beforeEach(() => {
+        message = new Message(db as any);
+        message.id = '10';
+        const chat = {
+            id: `chat:${Math.random()}`,
+            db,
+            active: false,
+            messages: [message],
+            _messageMap: { '10': message }
+        };
+        handler = new ChatReactionHandler(chat as any);
+    });
+
+    afterEach(() => {
+        handler.dispose();
+    });
+
+    it('merge reactions of all users', () => {
+        handler.loader.onKegsLoaded([
+            reactions('alice', 2, ['👍', '🎉']),
+            reactions('bob', 2, ['👍']),
+            reactions('carol', 2, ['🎉'], '11')
+        ]);
+        getReactions().should.deep.equal({ '👍': ['alice', 'bob'], '🎉': ['alice'] });
+    });
+
+    it('keep the most recent keg of every user', () => {
+        handler.loader.onKegsLoaded([reactions('bob', 3, ['👍'])]);
+        handler.loader.onKegsLoaded([reactions('bob', 2, ['🎉'])]);
+        getReactions().should.deep.equal({ '👍': ['bob'] });
+        handler.loader.onKegsLoaded([reactions('bob', 4, [])]);
+        getReactions().should.deep.equal({});
+    });
+
+    it('ignore invalid and forged kegs', () => {
+        const invalid = reactions('bob', 2, ['👍']);
+        invalid.reactionsError = true;
+        const forged = reactions('carol', 2, ['👍']);
+        forged.signatureError = true;
+        handler.loader.onKegsLoaded([invalid, forged]);
+        getReactions().should.deep.equal({});
+    });
+
+    it('remove reactions that fail signature check after they were applied', () => {
+        const pending = reactions('bob', 2, ['👍']);
+        pending.signatureError = null;
+        handler.loader.onKegsLoaded([pending, reactions('carol', 2, ['👍'])]);
+        getReactions().should.deep.equal({ '👍': ['bob', 'carol'] });
+        pending.signatureError = true;
+        handler.loader.onKegVerified(pending);
+        getReactions().should.deep.equal({ '👍': ['carol'] });
+    });
+
+    it('use own keg from the cache for updates', async () => {
+        const own = reactions('alice', 2, ['👍']);
+        handler.loader.onKegsLoaded([own]);
+        (await handler.loader.loadOwnKeg('10')).should.equal(own);
+    });
+});
@@ -0,0 +1,75 @@
+import User from '~/models/user/user';
+import Message from '~/models/chats/message';
+import { setChatStore } from '~/helpers/di-chat-store';
+
+describe('Message editing should', () => {
+    const db = { id: 'chat:1' };
+    let chat: { isReadOnly: boolean };
+
+    function createSentMessage(sender = 'alice') {
+        const m = new Message(db as any);
+        m.id = '10';
+        m.version = 2;
+        m.sender = { username: sender } as any;
+        m.text = 'original';
+        m.timestamp = new Date(1000);
+        return m;
+    }
+
+    before(() => {
+        User.current = { username: 'alice' } as any;
+    });
+
+    after(() => {
+        User.current = null;
+        setChatStore(null);
+    });
+
+    beforeEach(() => {
+        chat = { isReadOnly: false };
+        setChatStore({ chatMap: { 'chat:1': chat } } as any);
+    });
+
+    it('allow editing only own sent messages', () => {
+        createSentMessage().canEdit.should.be.true;
+        createSentMessage('bob').canEdit.should.be.false;
+        const unsent = createSentMessage();
+        unsent.version = 1;
+        unsent.canEdit.should.be.false;
+        const system = createSentMessage();
+        system.systemData = { action: 'rename' };
+        system.canEdit.should.be.false;
+    });
+
+    it('keep previous versions in edit history', async () => {
+        const m = createSentMessage();
+        m.saveToServer = () => Promise.resolve();
+        await m.edit('first edit');
+        const firstEditAt = +m.editedAt;
+        await m.edit('second edit');
+        m.text.should.equal('second edit');
+        m.edited.should.be.true;
+        m.editHistory.map(v => v.text).should.deep.equal(['original', 'first edit']);
+        m.editHistory[0].timestamp.should.equal(1000);
+        m.editHistory[1].timestamp.should.equal(firstEditAt);
+    });
+
+    it('restore previous version when saving fails', async () => {
+        const m = createSentMessage();
+        m.saveToServer = () => Promise.reject(new Error('test'));
+        await m.edit('edited').should.be.rejected;
+        m.text.should.equal('original');
+        m.edited.should.be.false;
+        (m.editedAt === null).should.be.true;
+        m.editHistory.should.be.empty;
+        m.sending.should.be.false;
+    });
+
+    it('reject editing messages of others and in read-only chats', async () => {
+        await createSentMessage('bob').edit('edited').should.be.rejected;
+        chat.isReadOnly = true;
+        const m = createSentMessage();
+        await m.edit('edited').should.be.rejected;
+        m.text.should.equal('original');
+    });
+});
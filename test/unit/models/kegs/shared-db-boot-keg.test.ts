@@ -0,0 +1,97 @@
+import SharedDbBootKeg from '~/models/kegs/shared-db-boot-keg';
+import tracker from '~/models/update-tracker';
+
+describe('Shared db boot keg should', () => {
+    const alice = { username: 'alice' } as any;
+    const bob = { username: 'bob' } as any;
+    let boot: SharedDbBootKeg;
+    const onceUpdated = tracker.onceUpdated;
+
+    // synced kegs start loading from server once tracker is updated, there's no server here
+    before(() => {
+        tracker.onceUpdated = () => {};
+    });
+
+    after(() => {
+        tracker.onceUpdated = onceUpdated;
+    });
+
+    beforeEach(() => {
+        boot = new SharedDbBootKeg({ id: 'channel:1' } as any, { username: 'alice' } as any);
+        boot.addParticipant(alice);
+        boot.addParticipant(bob);
+    });
+
+    describe('roles', () => {
+        it('be empty for regular members', () => {
+            (boot.getRole(bob) === null).should.be.true;
+        });
+
+        it('replace previous role when assigning a new one', () => {
+            boot.assignRole(bob, 'moderator');
+            boot.getRole(bob).should.equal('moderator');
+            boot.assignRole(bob, 'readonly');
+            boot.getRole(bob).should.equal('readonly');
+            boot.moderators.should.not.include(bob);
+            boot.readonlyMembers.should.include(bob);
+        });
+
+        it('be removed by unassigning', () => {
+            boot.assignRole(bob, 'moderator');
+            boot.unassignRole(bob, 'moderator');
+            (boot.getRole(bob) === null).should.be.true;
+        });
+
+        it('not allow removing the last admin', () => {
+            boot.assignRole(alice, 'admin');
+            (() => boot.unassignRole(alice, 'admin')).should.throw();
+            (() => boot.assignRole(alice, 'moderator')).should.throw();
+            boot.assignRole(bob, 'admin');
+            boot.assignRole(alice, 'moderator');
+            boot.getRole(alice).should.equal('moderator');
+            boot.admins.slice().should.deep.equal([bob]);
+        });
+    });
+
+    describe('keys', () => {
+        beforeEach(() => {
+            boot.addKey();
+            boot.onSaved();
+            boot.dirty = false;
+        });
+
+        it('use the first key right away', () => {
+            boot.kegKeyId.should.equal('0');
+            boot.kegKey.should.equal(boot.keys['0'].key);
+        });
+
+        it('not use a new key until it is saved', () => {
+            const key = boot.kegKey;
+            boot.addKey();
+            boot.dirty.should.be.true;
+            boot.kegKeyId.should.equal('0');
+            boot.kegKey.should.equal(key);
+            (() => boot.addKey()).should.throw();
+        });
+
+        it('remove unsaved key on rollback', () => {
+            boot.addKey();
+            Object.keys(boot.keys).should.deep.equal(['0', '1']);
+            boot.removeUnsavedKey();
+            // regression: the key after the newest one used to be removed, leaving the unsaved key in place
+            Object.keys(boot.keys).should.deep.equal(['0']);
+            boot.dirty.should.be.false;
+            boot.addKey();
+            Object.keys(boot.keys).should.deep.equal(['0', '1']);
+        });
+
+        it('keep saved keys on rollback', () => {
+            boot.addKey();
+            boot.onSaved();
+            boot.dirty = false;
+            boot.removeUnsavedKey();
+            Object.keys(boot.keys).should.deep.equal(['0', '1']);
+            boot.kegKeyId.should.equal('1');
+        });
+    });
+});